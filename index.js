@@ -4,28 +4,43 @@
 
 import express from "express";
 import cors from "cors";
-import dotenv from "dotenv";
 import { fileURLToPath } from "url";
-import { dirname, join } from "path";
-import { readFileSync } from "fs";
+import { dirname, resolve } from "path";
 
 // Configuración
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
-// Cargar variables de entorno
-dotenv.config({ path: join(__dirname, ".env") });
-
-// Cargar configuración
-const configPath = join(__dirname, "config.json");
-const config = JSON.parse(readFileSync(configPath, "utf8"));
-
 // Importar módulos
-import { logger } from "./lib/logger.js";
-import { SerialManager } from "./lib/SerialManager.js";
+import { logger, configureLogging, protocolTrace } from "./lib/logger.js";
+import { loadConfig } from "./lib/config.js";
+import { DeviceRegistry } from "./lib/DeviceRegistry.js";
+import { ApiAuth } from "./lib/ApiAuth.js";
 import { TEFProtocol } from "./lib/TEFProtocol.js";
+import { TransactionJournal } from "./lib/TransactionJournal.js";
+import { TransactionEvents } from "./lib/TransactionEvents.js";
 import { createApiRouter } from "./routes/api.js";
 
+// Cargar configuración: valores por defecto < config.json < .env < entorno
+// Un valor inválido detiene el arranque (no se opera un datáfono mal configurado)
+let config;
+let configSources;
+try {
+  ({ config, sources: configSources } = loadConfig({ rootDir: __dirname }));
+} catch (error) {
+  logger.error(error.message);
+  process.exit(1);
+}
+
+// Nivel de log, ocultamiento de datos de tarjeta y traza del protocolo
+configureLogging({
+  ...config.logging,
+  trace: {
+    ...config.logging.trace,
+    dir: resolve(__dirname, config.logging.trace.dir),
+  },
+});
+
 // Aplicación Express
 const app = express();
 
@@ -34,18 +49,35 @@ app.use(
   cors({
     origin: config.server.cors_origins,
     methods: ["GET", "POST"],
-    allowedHeaders: ["Content-Type"],
+    allowedHeaders: [
+      "Content-Type",
+      "Idempotency-Key",
+      "Authorization",
+      "X-Api-Key",
+      "X-Key-Id",
+      "X-Timestamp",
+      "X-Nonce",
+      "X-Signature",
+    ],
+    exposedHeaders: ["Idempotent-Replayed"],
   }),
 );
-app.use(express.json());
+// Cuerpo original para verificar la firma HMAC (ApiAuth), en todos los parsers
+const keepRawBody = (req, res, buffer) => {
+  req.rawBody = buffer;
+};
+app.use(express.json({ verify: keepRawBody }));
 app.use((req, res, next) => {
-  console.log(`[${new Date().toISOString()}] ${req.method} ${req.path} - Body:`, req.body);
+  // Sin el body: lleva montos y datos de la venta
+  logger.debug(`${req.method} ${req.path} desde ${req.ip}`);
   next();
 });
-app.use(express.urlencoded({ extended: true }));
+app.use(express.urlencoded({ extended: true, verify: keepRawBody }));
 
 // Variables globales
-let serialManager;
+let devices;
+let auth;
+let journal;
 let server;
 // Determinar modo automáticamente
 const isDevelopment =
@@ -66,14 +98,50 @@ async function initialize() {
     logger.info(`Node.js ${process.version}`);
     logger.info(`Entorno: ${process.env.NODE_ENV || "development"}`);
 
-    // Inicializar gestor serial
-    serialManager = new SerialManager(config.serial);
+    // Cargar diario de transacciones y marcar las que quedaron en vuelo
+    journal = new TransactionJournal(resolve(__dirname, config.journal.path));
+    journal.load();
+    for (const tx of journal.recoverInFlight()) {
+      if (tx.needsReconciliation) {
+        logger.warn(
+          `Transacción ${tx.transactionId} con resultado desconocido (${tx.reason}): requiere conciliación o anulación`,
+        );
+      } else {
+        logger.info(
+          `Transacción ${tx.transactionId} cerrada como FAILED (${tx.reason})`,
+        );
+      }
+    }
+
+    // Un SerialManager por datáfono (config.devices o el único de config.serial)
+    devices = new DeviceRegistry(config, {
+      resolvePath: (path) => resolve(__dirname, path),
+      sources: configSources,
+    });
 
-    // Conectar al datáfono
-    await serialManager.connect();
+    // Conectar los datáfonos; el supervisor de cada uno reintenta si no está disponible
+    await devices.start();
+
+    // Llaves de API por kiosko; el archivo se recarga al cambiar
+    auth = new ApiAuth({
+      ...config.auth,
+      keysPath: resolve(__dirname, config.auth.keysPath),
+    });
+    if (auth.enabled) {
+      auth.load();
+      auth.watch();
+    } else {
+      logger.warn("Autenticación de la API desactivada (auth.enabled: false)");
+    }
 
     // Crear router API
-    const apiRouter = createApiRouter(serialManager, TEFProtocol);
+    const apiRouter = createApiRouter(devices, TEFProtocol, {
+      journal,
+      events: new TransactionEvents(),
+      auth,
+      config,
+      configSources,
+    });
 
     // Rutas
     app.use("/api", apiRouter);
@@ -86,8 +154,24 @@ async function initialize() {
         endpoints: {
           health: "GET /api/health",
           status: "GET /api/status",
+          ports: "GET /api/ports",
+          connect: "POST /api/connect",
+          disconnect: "POST /api/disconnect",
+          devices: "GET /api/devices",
+          trace: "POST /api/trace",
+          config: "GET /api/config",
           purchase: "POST /api/purchase",
           reversal: "POST /api/reversal",
+          cashAdvance: "POST /api/cash-advance",
+          couponPurchase: "POST /api/coupon-purchase",
+          bondRecharge: "POST /api/bond-recharge",
+          balance: "POST /api/balance",
+          close: "POST /api/close",
+          transactions: "GET /api/transactions",
+          transaction: "GET /api/transactions/:transactionId",
+          transactionEvents: "GET /api/transactions/:transactionId/events",
+          cancelTransaction: "POST /api/transactions/:transactionId/cancel",
+          receipt: "GET /api/transactions/:transactionId/receipt",
         },
         documentation: "/docs/api",
       });
@@ -95,8 +179,8 @@ async function initialize() {
 
     // Manejo de errores 404
     app.use((req, res) => {
-      console.log(req);
-      
+      logger.warn(`Ruta no encontrada: ${req.method} ${req.path}`);
+
       res.status(404).json({
         status: "error",
         message: `Ruta no encontrada: ${req.method} ${req.path}`,
@@ -147,12 +231,19 @@ function setupGracefulShutdown() {
         logger.info("Servidor HTTP cerrado");
       }
 
-      // Desconectar serial
-      if (serialManager) {
-        await serialManager.disconnect();
-        logger.info("Conexión serial cerrada");
+      // Desconectar los datáfonos
+      if (devices) {
+        await devices.stop();
+        logger.info("Conexiones seriales cerradas");
+      }
+
+      if (journal) {
+        journal.close();
       }
 
+      auth?.close();
+      protocolTrace.stop();
+
       logger.info("Servicio cerrado correctamente");
       process.exit(0);
     } catch (error) {
@@ -0,0 +1,394 @@
+/**
+ * Autenticación de la API con llaves por kiosko
+ * Las llaves se leen de un archivo local (auth.keysPath) que se recarga al cambiar,
+ * así una llave se rota o revoca sin reiniciar el servicio.
+ * Cada petición se autentica con la llave (X-Api-Key / Authorization: Bearer) o
+ * firmada con HMAC-SHA256 (X-Key-Id, X-Timestamp, X-Nonce, X-Signature).
+ */
+
+import crypto from "crypto";
+import fs from "fs";
+import { logger } from "./logger.js";
+
+export class ApiAuth {
+  // purchase: ventas, saldo y cancelación; void: anulaciones; close: cierre;
+  // admin: puerto serial, datáfonos y simulador. "*" concede todos
+  static SCOPES = ["purchase", "void", "close", "admin"];
+
+  static MIN_SECRET_LENGTH = 32;
+  // Prefijo de los secrets de api-keys.example.json: copiar la plantilla tal cual no habilita llaves
+  static PLACEHOLDER_PREFIX = "reemplazar";
+
+  /**
+   * options: { enabled, keysPath, maxClockSkew (s), reloadInterval (ms), streamTokenTtl (s) }
+   */
+  constructor(options = {}) {
+    this.enabled = options.enabled ?? true;
+    this.keysPath = options.keysPath;
+    this.maxClockSkew = options.maxClockSkew ?? 300;
+    this.reloadInterval = options.reloadInterval ?? 2000;
+    this.streamTokenTtl = options.streamTokenTtl ?? 600;
+
+    this.keys = new Map();
+    this.nonces = new Map();
+    this.watching = false;
+
+    // Firma los enlaces SSE (EventSource no puede enviar headers); cambia en cada arranque
+    this.streamSecret = crypto.randomBytes(32);
+  }
+
+  static error(code, message, status = 401) {
+    const error = new Error(message);
+    error.code = code;
+    error.status = status;
+    return error;
+  }
+
+  /**
+   * Lee el archivo de llaves. Si es ilegible o inválido se conservan las llaves
+   * anteriores (una edición a medias no debe dejar a todos los kioskos afuera)
+   */
+  load() {
+    if (!fs.existsSync(this.keysPath)) {
+      if (this.enabled) {
+        logger.warn(
+          `Archivo de llaves ${this.keysPath} no encontrado: la API rechazará todas las peticiones`,
+        );
+      }
+      this.keys = new Map();
+      return 0;
+    }
+
+    try {
+      const { keys = [] } = JSON.parse(fs.readFileSync(this.keysPath, "utf8"));
+      const loaded = new Map();
+
+      for (const entry of keys) {
+        ApiAuth.validateKey(entry);
+        const digest = ApiAuth.digest(entry.secret);
+        if (loaded.has(entry.id)) {
+          throw new Error(`Llave duplicada: ${entry.id}`);
+        }
+        if ([...loaded.values()].some((key) => key.digest.equals(digest))) {
+          throw new Error(`La llave ${entry.id} repite el secret de otra`);
+        }
+        loaded.set(entry.id, {
+          ...entry,
+          digest,
+          scopes: entry.scopes || [],
+          terminalIds: entry.terminalIds || [],
+        });
+      }
+
+      this.keys = loaded;
+      logger.info(`Llaves de API: ${loaded.size} cargadas de ${this.keysPath}`);
+      return loaded.size;
+    } catch (error) {
+      logger.error(
+        `Archivo de llaves inválido, se conservan las anteriores: ${error.message}`,
+      );
+      return null;
+    }
+  }
+
+  static validateKey(entry) {
+    if (!entry?.id) {
+      throw new Error("Cada llave necesita un id");
+    }
+    if (
+      typeof entry.secret !== "string" ||
+      entry.secret.length < ApiAuth.MIN_SECRET_LENGTH
+    ) {
+      throw new Error(
+        `La llave ${entry.id} necesita un secret de al menos ${ApiAuth.MIN_SECRET_LENGTH} caracteres`,
+      );
+    }
+    if (entry.secret.toLowerCase().startsWith(ApiAuth.PLACEHOLDER_PREFIX)) {
+      throw new Error(
+        `La llave ${entry.id} conserva el secret de ejemplo de api-keys.example.json`,
+      );
+    }
+    const unknown = (entry.scopes || []).filter(
+      (scope) => scope !== "*" && !ApiAuth.SCOPES.includes(scope),
+    );
+    if (unknown.length > 0) {
+      throw new Error(
+        `La llave ${entry.id} tiene scopes desconocidos: ${unknown.join(", ")}`,
+      );
+    }
+  }
+
+  /**
+   * Recarga el archivo cuando cambia (rotación sin reinicio)
+   */
+  watch() {
+    if (this.watching) return;
+    this.watching = true;
+    fs.watchFile(
+      this.keysPath,
+      { interval: this.reloadInterval, persistent: false },
+      () => {
+        logger.info("Archivo de llaves modificado, recargando");
+        this.load();
+      },
+    );
+  }
+
+  close() {
+    if (!this.watching) return;
+    fs.unwatchFile(this.keysPath);
+    this.watching = false;
+  }
+
+  static digest(value) {
+    return crypto.createHash("sha256").update(value).digest();
+  }
+
+  /**
+   * Firma de una petición: HMAC-SHA256 hex de
+   * MÉTODO \n ruta con query \n timestamp \n nonce \n sha256(body)
+   */
+  static sign(secret, { method, path, timestamp, nonce, body = "" }) {
+    const bodyHash = crypto.createHash("sha256").update(body).digest("hex");
+    return crypto
+      .createHmac("sha256", secret)
+      .update(
+        [method.toUpperCase(), path, timestamp, nonce, bodyHash].join("\n"),
+      )
+      .digest("hex");
+  }
+
+  static safeEqual(a, b) {
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+  }
+
+  /**
+   * Identifica la llave de la petición o lanza un error con code y status
+   * Retorna { key, method } con method "apiKey" o "hmac"
+   */
+  authenticate(req) {
+    const keyId = req.get("X-Key-Id");
+    const result = keyId
+      ? { key: this.verifySignature(req, keyId), method: "hmac" }
+      : { key: this.verifyApiKey(req), method: "apiKey" };
+
+    const { key } = result;
+    if (key.disabled) {
+      throw ApiAuth.error("KEY_DISABLED", `Llave ${key.id} deshabilitada`);
+    }
+    if (key.expiresAt && new Date(key.expiresAt) < new Date()) {
+      throw ApiAuth.error("KEY_EXPIRED", `Llave ${key.id} vencida`);
+    }
+    if (result.method === "apiKey" && key.requireSignature) {
+      throw ApiAuth.error(
+        "SIGNATURE_REQUIRED",
+        `La llave ${key.id} solo acepta peticiones firmadas`,
+      );
+    }
+    return result;
+  }
+
+  verifyApiKey(req) {
+    const bearer = /^Bearer\s+(.+)$/i.exec(req.get("Authorization") || "");
+    const presented = req.get("X-Api-Key") || bearer?.[1];
+
+    if (!presented) {
+      throw ApiAuth.error("AUTH_REQUIRED", "Se requiere una llave de API");
+    }
+
+    const digest = ApiAuth.digest(presented);
+    for (const key of this.keys.values()) {
+      if (ApiAuth.safeEqual(digest, key.digest)) return key;
+    }
+    throw ApiAuth.error("INVALID_API_KEY", "Llave de API inválida");
+  }
+
+  verifySignature(req, keyId) {
+    const timestamp = req.get("X-Timestamp");
+    const nonce = req.get("X-Nonce");
+    const signature = req.get("X-Signature");
+
+    if (!timestamp || !nonce || !signature) {
+      throw ApiAuth.error(
+        "AUTH_REQUIRED",
+        "Petición firmada incompleta: X-Timestamp, X-Nonce y X-Signature son obligatorios",
+      );
+    }
+
+    const key = this.keys.get(keyId);
+    if (!key) {
+      throw ApiAuth.error("INVALID_API_KEY", "Llave de API inválida");
+    }
+
+    // Timestamp en segundos Unix: una petición capturada no sirve fuera de la ventana
+    const skew = Math.abs(Date.now() / 1000 - Number(timestamp));
+    if (!/^\d+$/.test(timestamp) || skew > this.maxClockSkew) {
+      throw ApiAuth.error(
+        "STALE_REQUEST",
+        `Timestamp fuera de la ventana de ${this.maxClockSkew} s`,
+      );
+    }
+
+    // Un body sin el original (p. ej. de un parser sin verify) no queda cubierto por la firma
+    if (!req.rawBody && Object.keys(req.body || {}).length > 0) {
+      throw ApiAuth.error(
+        "INVALID_SIGNATURE",
+        "El body de una petición firmada debe ser JSON o application/x-www-form-urlencoded",
+      );
+    }
+
+    const expected = ApiAuth.sign(key.secret, {
+      method: req.method,
+      path: req.originalUrl,
+      timestamp,
+      nonce,
+      body: req.rawBody || "",
+    });
+    if (!ApiAuth.safeEqual(Buffer.from(signature), Buffer.from(expected))) {
+      throw ApiAuth.error("INVALID_SIGNATURE", "Firma inválida");
+    }
+
+    // Dentro de la ventana, cada nonce se acepta una sola vez
+    this.purgeNonces();
+    const nonceKey = `${key.id}:${nonce}`;
+    if (this.nonces.has(nonceKey)) {
+      throw ApiAuth.error("REPLAYED_REQUEST", "Nonce ya utilizado");
+    }
+    this.nonces.set(nonceKey, Date.now() + this.maxClockSkew * 2 * 1000);
+
+    return key;
+  }
+
+  purgeNonces() {
+    const now = Date.now();
+    for (const [nonce, expiresAt] of this.nonces) {
+      if (expiresAt < now) this.nonces.delete(nonce);
+    }
+  }
+
+  /**
+   * Middleware: exige una llave con alguno de los scopes (sin scopes: cualquier llave válida)
+   * Una llave con terminalIds solo opera sus cajas: el terminalId del body por
+   * defecto es su primera caja y no puede elegir deviceId (las rutas de consulta
+   * filtran o rechazan con allowsTerminal)
+   */
+  require(...scopes) {
+    return (req, res, next) => {
+      if (!this.enabled) return next();
+
+      try {
+        const { key, method } = this.authenticate(req);
+
+        if (
+          scopes.length > 0 &&
+          !key.scopes.includes("*") &&
+          !scopes.some((scope) => key.scopes.includes(scope))
+        ) {
+          throw ApiAuth.error(
+            "FORBIDDEN_SCOPE",
+            `La llave ${key.id} no tiene permiso ${scopes.join(" o ")}`,
+            403,
+          );
+        }
+
+        if (scopes.length > 0 && key.terminalIds.length > 0 && req.body) {
+          this.restrictTerminal(key, req.body);
+        }
+
+        req.auth = {
+          keyId: key.id,
+          scopes: key.scopes,
+          terminalIds: key.terminalIds,
+          method,
+        };
+        next();
+      } catch (error) {
+        this.reject(req, res, error);
+      }
+    };
+  }
+
+  restrictTerminal(key, body) {
+    if (body.deviceId) {
+      throw ApiAuth.error(
+        "TERMINAL_NOT_ALLOWED",
+        `La llave ${key.id} enruta por su caja y no puede elegir deviceId`,
+        403,
+      );
+    }
+    body.terminalId ??= key.terminalIds[0];
+    if (!key.terminalIds.includes(body.terminalId)) {
+      throw ApiAuth.error(
+        "TERMINAL_NOT_ALLOWED",
+        `La llave ${key.id} no puede operar la caja ${body.terminalId}`,
+        403,
+      );
+    }
+  }
+
+  /**
+   * ¿La llave autenticada puede ver u operar la caja? (sin terminalIds: todas)
+   */
+  allowsTerminal(req, terminalId) {
+    const terminalIds = req.auth?.terminalIds || [];
+    return terminalIds.length === 0 || terminalIds.includes(terminalId);
+  }
+
+  /**
+   * Middleware del stream SSE: acepta headers o el token ?token= del enlace
+   * que devuelve la respuesta 202 (válido solo para esa transacción)
+   */
+  requireStream() {
+    const requireKey = this.require();
+    return (req, res, next) => {
+      const { token } = req.query;
+      if (!this.enabled || !token) return requireKey(req, res, next);
+
+      if (this.verifyStreamToken(req.params.transactionId, token)) {
+        req.auth = { method: "streamToken" };
+        return next();
+      }
+      this.reject(
+        req,
+        res,
+        ApiAuth.error("INVALID_TOKEN", "Token del stream inválido o vencido"),
+      );
+    };
+  }
+
+  /**
+   * Token de un solo stream: "<vence>.<hmac>" (vence en segundos Unix)
+   */
+  issueStreamToken(transactionId) {
+    const expires = Math.floor(Date.now() / 1000) + this.streamTokenTtl;
+    return `${expires}.${this.streamSignature(transactionId, expires)}`;
+  }
+
+  verifyStreamToken(transactionId, token) {
+    const [expires, signature = ""] = String(token).split(".");
+    if (!(Number(expires) > Date.now() / 1000)) return false;
+
+    return ApiAuth.safeEqual(
+      Buffer.from(signature),
+      Buffer.from(this.streamSignature(transactionId, expires)),
+    );
+  }
+
+  streamSignature(transactionId, expires) {
+    return crypto
+      .createHmac("sha256", this.streamSecret)
+      .update(`${transactionId}.${expires}`)
+      .digest("hex");
+  }
+
+  reject(req, res, error) {
+    logger.warn(
+      `Petición rechazada (${error.code}) ${req.method} ${req.baseUrl}${req.path} desde ${req.ip}: ${error.message}`,
+    );
+    res.status(error.status || 401).json({
+      status: "error",
+      message: error.message,
+      code: error.code,
+    });
+  }
+}
@@ -0,0 +1,210 @@
+/**
+ * Supervisor del enlace serial con el datáfono
+ * Si el puerto se cierra sin que nadie lo pida (USB desconectado, COM renumerado)
+ * reintenta la conexión con backoff exponencial. Mientras no hay transacciones,
+ * envía un handshake periódico para confirmar que el datáfono sigue respondiendo.
+ */
+
+import { EventEmitter } from "events";
+import { logger } from "./logger.js";
+import { TEFProtocol } from "./TEFProtocol.js";
+
+export class ConnectionSupervisor extends EventEmitter {
+  static STATES = {
+    STOPPED: "STOPPED", // Sin supervisión (antes de start() o tras stop())
+    CONNECTED: "CONNECTED",
+    RECONNECTING: "RECONNECTING", // Esperando el siguiente intento de conexión
+    DISCONNECTED: "DISCONNECTED", // Sin conexión y con reconexión desactivada
+  };
+
+  /**
+   * serialConfig.reconnect: { enabled, initialDelay, maxDelay, factor }
+   * serialConfig.probe: { interval, timeout } (interval 0 desactiva el sondeo)
+   */
+  constructor(serialManager, serialConfig = {}) {
+    super();
+    this.serialManager = serialManager;
+    this.reconnect = {
+      enabled: true,
+      initialDelay: 1000,
+      maxDelay: 30000,
+      factor: 2,
+      ...serialConfig.reconnect,
+    };
+    this.probeOptions = {
+      interval: 60000,
+      timeout: 5000,
+      ...serialConfig.probe,
+    };
+
+    this.state = ConnectionSupervisor.STATES.STOPPED;
+    this.since = new Date();
+    this.attempts = 0;
+    this.nextAttemptAt = null;
+    this.lastProbe = null;
+    this.reconnectTimer = null;
+    this.probeTimer = null;
+
+    this.onConnected = ({ port }) =>
+      this.setState(
+        ConnectionSupervisor.STATES.CONNECTED,
+        `Conectado a ${port}`,
+      );
+    this.onDisconnected = ({ reason, expected }) => {
+      if (!expected) this.scheduleReconnect(reason);
+    };
+  }
+
+  /**
+   * Inicia la supervisión (después del primer connect())
+   */
+  start() {
+    if (this.state !== ConnectionSupervisor.STATES.STOPPED) return;
+
+    this.serialManager.on("connected", this.onConnected);
+    this.serialManager.on("disconnected", this.onDisconnected);
+
+    if (this.serialManager.isConnected) {
+      this.setState(
+        ConnectionSupervisor.STATES.CONNECTED,
+        "Supervisión iniciada",
+      );
+    } else {
+      this.scheduleReconnect(
+        this.serialManager.lastError || "Datáfono no conectado al iniciar",
+      );
+    }
+
+    if (this.probeOptions.interval > 0) {
+      this.probeTimer = setInterval(
+        () => this.probe(),
+        this.probeOptions.interval,
+      );
+      this.probeTimer.unref();
+    }
+  }
+
+  /**
+   * Detiene la supervisión (desconexión manual o cierre del servicio)
+   */
+  stop() {
+    clearTimeout(this.reconnectTimer);
+    clearInterval(this.probeTimer);
+    this.reconnectTimer = null;
+    this.probeTimer = null;
+    this.nextAttemptAt = null;
+
+    this.serialManager.off("connected", this.onConnected);
+    this.serialManager.off("disconnected", this.onDisconnected);
+    this.setState(ConnectionSupervisor.STATES.STOPPED, "Supervisión detenida");
+  }
+
+  /**
+   * Cambia de estado, lo registra en el log y emite "state"
+   */
+  setState(state, detail) {
+    if (state === ConnectionSupervisor.STATES.CONNECTED) {
+      this.attempts = 0;
+      this.nextAttemptAt = null;
+    }
+    if (state === this.state) return;
+
+    const previous = this.state;
+    this.state = state;
+    this.since = new Date();
+
+    const level =
+      state === ConnectionSupervisor.STATES.CONNECTED ? "info" : "warn";
+    logger[level](
+      `Enlace con el datáfono: ${previous} -> ${state} (${detail})`,
+    );
+    this.emit("state", { state, previous, detail, since: this.since });
+  }
+
+  /**
+   * Programa el siguiente intento de conexión con backoff exponencial
+   */
+  scheduleReconnect(reason) {
+    if (this.reconnectTimer) return;
+    if (!this.reconnect.enabled) {
+      this.setState(ConnectionSupervisor.STATES.DISCONNECTED, reason);
+      return;
+    }
+
+    const { initialDelay, maxDelay, factor } = this.reconnect;
+    const delay = Math.min(initialDelay * factor ** this.attempts, maxDelay);
+
+    this.setState(ConnectionSupervisor.STATES.RECONNECTING, reason);
+    this.nextAttemptAt = new Date(Date.now() + delay);
+    logger.info(`Reintento de conexión ${this.attempts + 1} en ${delay} ms`);
+
+    this.reconnectTimer = setTimeout(() => this.attemptReconnect(), delay);
+  }
+
+  async attemptReconnect() {
+    this.reconnectTimer = null;
+    this.attempts++;
+
+    await this.serialManager.connect();
+
+    // Si conectó, el evento "connected" ya dejó el estado en CONNECTED
+    if (!this.serialManager.isConnected) {
+      this.scheduleReconnect(
+        this.serialManager.lastError || "No se pudo abrir el puerto",
+      );
+    }
+  }
+
+  /**
+   * Sondeo de vida: handshake cuando el datáfono está libre y sin tráfico reciente
+   * Si no responde, se cierra el puerto y se reconecta
+   */
+  async probe() {
+    const { serialManager } = this;
+    const idleSince = serialManager.lastFrameAt?.getTime() ?? 0;
+
+    if (
+      this.state !== ConnectionSupervisor.STATES.CONNECTED ||
+      serialManager.queue.active ||
+      serialManager.queue.waiting.length > 0 ||
+      Date.now() - idleSince < this.probeOptions.interval
+    ) {
+      return;
+    }
+
+    try {
+      await serialManager.runExclusive(
+        { transactionId: "PROBE", type: "probe" },
+        () =>
+          serialManager.sendAndReceive(
+            TEFProtocol.buildHandshakeFrame(),
+            this.probeOptions.timeout,
+          ),
+      );
+      this.lastProbe = { at: new Date(), ok: true };
+    } catch (error) {
+      // Una transacción llegó justo antes: no dice nada del enlace
+      if (error.code === "DEVICE_BUSY" || error.code === "QUEUE_FULL") return;
+
+      this.lastProbe = { at: new Date(), ok: false, error: error.message };
+      logger.error(`Sondeo del datáfono fallido: ${error.message}`);
+
+      await serialManager.disconnect();
+      this.scheduleReconnect(`Sondeo fallido: ${error.message}`);
+    }
+  }
+
+  /**
+   * Estado del enlace para /api/status
+   */
+  getStatus() {
+    return {
+      state: this.state,
+      since: this.since,
+      attempts: this.attempts,
+      nextAttemptAt: this.nextAttemptAt,
+      lastError: this.serialManager.lastError,
+      lastProbe: this.lastProbe,
+    };
+  }
+}
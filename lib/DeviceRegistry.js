@@ -0,0 +1,217 @@
+/**
+ * Registro de datáfonos conectados al puente
+ * Cada datáfono tiene su propio SerialManager (puerto, cola, supervisor y simulador).
+ * Las transacciones se enrutan por deviceId o por el terminalId (caja) del kiosko.
+ * Sin config.devices se crea un único dispositivo "default" con config.serial.
+ */
+
+import { logger } from "./logger.js";
+import { SerialManager } from "./SerialManager.js";
+import { SerialSettingsStore } from "./SerialSettingsStore.js";
+
+export class DeviceRegistry {
+  static DEFAULT_ID = "default";
+
+  /**
+   * config.devices: [{ id, name, terminalIds, default, serial, tef }]
+   * serial y tef de cada dispositivo se combinan sobre config.serial y config.tef
+   * resolvePath(ruta): convierte rutas relativas de config (settingsPath) a absolutas
+   * sources: rutas fijadas por variable de entorno (loadConfig), que los
+   *   parámetros seriales guardados no sobrescriben
+   */
+  constructor(config, { resolvePath = (path) => path, sources = {} } = {}) {
+    this.devices = new Map();
+    this.sources = sources;
+
+    const definitions =
+      config.devices?.length > 0
+        ? config.devices
+        : [{ id: DeviceRegistry.DEFAULT_ID }];
+
+    for (const definition of definitions) {
+      this.add(definition, config, resolvePath);
+    }
+
+    const defaults = this.list().filter((device) => device.default);
+    if (defaults.length > 1) {
+      throw new Error(
+        `Solo un datáfono puede ser default: ${defaults.map(({ id }) => id).join(", ")}`,
+      );
+    }
+    this.defaultDevice =
+      defaults[0] || (this.devices.size === 1 ? this.list()[0] : null);
+  }
+
+  /**
+   * Crea el SerialManager de un dispositivo y le aplica su puerto guardado
+   */
+  add(definition, config, resolvePath) {
+    const { id, name, terminalIds = [], serial = {}, tef = {} } = definition;
+
+    if (!id) {
+      throw new Error("Cada datáfono de config.devices necesita un id");
+    }
+    if (this.devices.has(id)) {
+      throw new Error(`Datáfono duplicado en config.devices: ${id}`);
+    }
+    for (const device of this.devices.values()) {
+      const shared = terminalIds.find((terminalId) =>
+        device.terminalIds.includes(terminalId),
+      );
+      if (shared) {
+        throw new Error(
+          `La caja ${shared} está asignada a los datáfonos ${device.id} y ${id}`,
+        );
+      }
+    }
+
+    const serialConfig = { ...config.serial, ...serial };
+    const tefConfig = { ...config.tef, ...tef };
+
+    // Puerto elegido con POST /api/connect en una ejecución anterior
+    const settingsStore = serialConfig.settingsPath
+      ? new SerialSettingsStore(
+          resolvePath(DeviceRegistry.settingsPathFor(id, serialConfig)),
+        )
+      : null;
+    const savedSettings = settingsStore?.load() || {};
+
+    // DATAFONO_PORT y demás variables ganan sobre lo guardado, salvo que el
+    // dispositivo fije su propio valor en config.devices
+    for (const key of Object.keys(savedSettings)) {
+      const origin = this.sources[`serial.${key}`];
+      if (origin && !(key in serial)) {
+        logger.info(
+          `Datáfono ${id}: ${origin.variable} tiene prioridad sobre serial.${key} guardado`,
+        );
+        delete savedSettings[key];
+      }
+    }
+    if (Object.keys(savedSettings).length > 0) {
+      logger.info(
+        `Datáfono ${id}: usando parámetros seriales guardados`,
+        savedSettings,
+      );
+      Object.assign(serialConfig, savedSettings);
+    }
+
+    // Cada simulador necesita su propio puerto virtual
+    if (id !== DeviceRegistry.DEFAULT_ID && !tef.mockPort) {
+      tefConfig.mockPort = `${tefConfig.mockPort || "/dev/tty.mock"}.${id}`;
+    }
+
+    const device = {
+      id,
+      name: name || id,
+      terminalIds,
+      default: Boolean(definition.default),
+      serialManager: new SerialManager(serialConfig, tefConfig),
+      settingsStore,
+    };
+    this.devices.set(id, device);
+    return device;
+  }
+
+  /**
+   * Archivo de parámetros guardados: el del dispositivo único conserva
+   * serial.settingsPath; los demás agregan su id (serial-settings-caja2.json)
+   */
+  static settingsPathFor(id, serialConfig) {
+    if (id === DeviceRegistry.DEFAULT_ID) return serialConfig.settingsPath;
+    return serialConfig.settingsPath.replace(/(\.json)?$/, `-${id}$1`);
+  }
+
+  list() {
+    return [...this.devices.values()];
+  }
+
+  /**
+   * Obtiene un dispositivo por id (DEVICE_NOT_FOUND si no existe)
+   */
+  get(deviceId) {
+    const device = this.devices.get(deviceId);
+    if (!device) {
+      const error = new Error(`Datáfono no encontrado: ${deviceId}`);
+      error.code = "DEVICE_NOT_FOUND";
+      throw error;
+    }
+    return device;
+  }
+
+  /**
+   * Elige el datáfono de una petición:
+   * deviceId explícito, luego la caja (terminalId) asignada, luego el default.
+   * Con varios datáfonos y sin default, una caja sin asignar es DEVICE_NOT_FOUND
+   * (cobrar en el datáfono de otro kiosko es peor que rechazar la petición)
+   */
+  resolve({ deviceId, terminalId } = {}) {
+    if (deviceId) return this.get(deviceId);
+
+    const assigned = this.list().find((device) =>
+      device.terminalIds.includes(terminalId),
+    );
+    if (assigned) return assigned;
+    if (this.defaultDevice) return this.defaultDevice;
+
+    const error = new Error(
+      `Ningún datáfono asignado a la caja ${terminalId}; enviar deviceId`,
+    );
+    error.code = "DEVICE_NOT_FOUND";
+    throw error;
+  }
+
+  /**
+   * Conecta todos los datáfonos e inicia sus supervisores
+   * Un datáfono que no abre no impide arrancar: su supervisor reintenta
+   */
+  async start() {
+    for (const device of this.devices.values()) {
+      await device.serialManager.connect();
+      device.serialManager.supervisor.start();
+      logger.info(
+        `Datáfono ${device.id}: ${device.serialManager.isConnected ? "conectado" : "sin conexión"}`,
+      );
+    }
+  }
+
+  /**
+   * Detiene supervisores y cierra todos los puertos
+   */
+  async stop() {
+    for (const { serialManager } of this.devices.values()) {
+      serialManager.supervisor.stop();
+      await serialManager.disconnect();
+    }
+  }
+
+  /**
+   * Cancela una transacción en el datáfono que la tenga en cola o en curso
+   * Retorna { device, stage } o null si ningún datáfono la tiene
+   */
+  cancel(transactionId) {
+    for (const device of this.devices.values()) {
+      const stage = device.serialManager.cancel(transactionId);
+      if (stage) return { device, stage };
+    }
+    return null;
+  }
+
+  /**
+   * Estado de un dispositivo para /api/health, /api/status y /api/devices
+   */
+  static describe(device) {
+    const status = device.serialManager.getStatus();
+    return {
+      id: device.id,
+      name: device.name,
+      terminalIds: device.terminalIds,
+      default: device.default,
+      healthy: status.connected,
+      ...status,
+    };
+  }
+
+  getStatus() {
+    return this.list().map(DeviceRegistry.describe);
+  }
+}
@@ -0,0 +1,153 @@
+/**
+ * Lector de tramas TEF II guiado por longitud
+ * Reensambla tramas a partir de fragmentos del puerto serial usando el LENGTH BCD
+ * (nunca buscando el primer 0x03, que puede aparecer en LENGTH o en los valores)
+ *
+ * Eventos:
+ *  - "frame"   { frame }         Trama completa con LRC válido
+ *  - "invalid" { frame, error }  Trama completa con LRC inválido
+ *  - "ack" / "nack" / "eot"      Bytes de control fuera de trama
+ *  - "discard" { bytes, reason } Bytes descartados (basura, desincronización, timeout)
+ *
+ * Una trama dañada (LENGTH inválido o ETX fuera de lugar) se descarta hasta el
+ * próximo STX: sus bytes de LENGTH BCD (0106 = 01 06) o de longitud de campo
+ * pueden valer 0x04/0x06/0x15 y no deben leerse como EOT/ACK/NACK.
+ */
+
+import { EventEmitter } from "events";
+import { TEFProtocol } from "./TEFProtocol.js";
+
+// Transport Header (10) + Presentation Header (7)
+const MIN_MESSAGE_LENGTH = 17;
+
+const STX = 0x02;
+const ETX = 0x03;
+const EOT = 0x04;
+const ACK = 0x06;
+const NACK = 0x15;
+
+const CONTROL_EVENTS = { [ACK]: "ack", [NACK]: "nack", [EOT]: "eot" };
+
+export class FrameReader extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.interByteTimeout = options.interByteTimeout ?? 500;
+    this.buffer = Buffer.alloc(0);
+    this.timeoutId = null;
+    // Descartando el resto de una trama dañada hasta el próximo STX
+    this.resyncing = false;
+  }
+
+  /**
+   * Agrega un fragmento recibido y emite las tramas completas
+   */
+  push(data) {
+    this.buffer = Buffer.concat([this.buffer, data]);
+    this.process();
+
+    // Si queda una trama a medias (o el resto de una dañada), reiniciar el
+    // temporizador entre bytes
+    clearTimeout(this.timeoutId);
+    this.timeoutId = null;
+    if (this.buffer.length > 0 || this.resyncing) {
+      this.timeoutId = setTimeout(
+        () => this.reset("Timeout entre bytes"),
+        this.interByteTimeout,
+      );
+    }
+  }
+
+  /**
+   * Descarta el contenido pendiente del buffer
+   */
+  reset(reason = "Reinicio") {
+    clearTimeout(this.timeoutId);
+    this.timeoutId = null;
+    this.resyncing = false;
+
+    if (this.buffer.length > 0) {
+      this.discard(this.buffer.length, reason);
+    }
+  }
+
+  process() {
+    while (this.buffer.length > 0) {
+      const first = this.buffer[0];
+
+      // Resto de una trama dañada: nada es control hasta el próximo STX
+      if (this.resyncing && first !== STX) {
+        const next = this.buffer.indexOf(STX);
+        this.discard(
+          next === -1 ? this.buffer.length : next,
+          "Resto de una trama dañada",
+        );
+        continue;
+      }
+
+      // Bytes de control entre tramas
+      if (first in CONTROL_EVENTS) {
+        this.buffer = this.buffer.subarray(1);
+        this.emit(CONTROL_EVENTS[first]);
+        continue;
+      }
+
+      // Basura antes del próximo STX o byte de control
+      if (first !== STX) {
+        const next = this.buffer.findIndex(
+          (byte) => byte === STX || byte in CONTROL_EVENTS,
+        );
+        this.discard(
+          next === -1 ? this.buffer.length : next,
+          "Bytes fuera de trama",
+        );
+        continue;
+      }
+      this.resyncing = false;
+
+      // Esperar a tener el LENGTH completo
+      if (this.buffer.length < 3) return;
+
+      const messageLength = TEFProtocol.parseLength(this.buffer.subarray(1, 3));
+      if (messageLength === null || messageLength < MIN_MESSAGE_LENGTH) {
+        // No es un STX real: resincronizar desde el siguiente STX
+        this.dropFrame("LENGTH inválido tras STX");
+        continue;
+      }
+
+      // STX + LENGTH(2) + MENSAJE + ETX + LRC
+      const frameLength = messageLength + 5;
+      if (this.buffer.length < frameLength) return;
+
+      if (this.buffer[frameLength - 2] !== ETX) {
+        this.dropFrame("ETX fuera de la posición indicada por LENGTH");
+        continue;
+      }
+
+      const frame = Buffer.from(this.buffer.subarray(0, frameLength));
+      this.buffer = this.buffer.subarray(frameLength);
+
+      const validation = TEFProtocol.validateFrame(frame);
+      if (validation.valid) {
+        this.emit("frame", { frame });
+      } else {
+        this.emit("invalid", { frame, error: validation.error });
+      }
+    }
+  }
+
+  /**
+   * Descarta una trama dañada hasta el próximo STX; si todavía no llegó, los
+   * bytes siguientes se descartan al llegar (hasta un STX o el timeout entre bytes)
+   */
+  dropFrame(reason) {
+    const next = this.buffer.indexOf(STX, 1);
+    this.resyncing = next === -1;
+    this.discard(next === -1 ? this.buffer.length : next, reason);
+  }
+
+  discard(count, reason) {
+    const bytes = Buffer.from(this.buffer.subarray(0, count));
+    this.buffer = this.buffer.subarray(count);
+    this.emit("discard", { bytes, reason });
+  }
+}
@@ -0,0 +1,380 @@
+/**
+ * Comprobantes (vouchers) de transacciones aprobadas
+ * Arma las líneas del comprobante a partir del diario (respuesta del datáfono +
+ * datos de la petición) y las entrega como texto plano para impresoras de 40/48
+ * columnas, como bytes ESC/POS o como HTML.
+ * El encabezado y los pies salen de config.receipts; sus líneas admiten
+ * {campo} con los datos de receipts.merchant, {terminalId} y {deviceId}.
+ */
+
+export class ReceiptBuilder {
+  // Tipos de transacción con comprobante
+  static TYPES = ["purchase", "void"];
+  static FORMATS = ["text", "escpos", "html"];
+  static COPIES = ["customer", "merchant"];
+  static WIDTHS = [40, 48];
+
+  static TITLES = {
+    purchase: "COMPRA",
+    void: "ANULACIÓN",
+  };
+
+  static COPY_LABELS = {
+    customer: "COMPROBANTE CLIENTE",
+    merchant: "COMPROBANTE COMERCIO",
+  };
+
+  static ACCOUNT_TYPES = {
+    CR: "CRÉDITO",
+    DB: "DÉBITO",
+    AH: "AHORROS",
+    CC: "CORRIENTE",
+  };
+
+  static CONTENT_TYPES = {
+    text: "text/plain; charset=utf-8",
+    escpos: "application/octet-stream",
+    html: "text/html; charset=utf-8",
+  };
+
+  // Comandos ESC/POS
+  static ESC_POS = {
+    INIT: [0x1b, 0x40],
+    CODE_PAGE_PC850: [0x1b, 0x74, 0x02],
+    ALIGN_LEFT: [0x1b, 0x61, 0x00],
+    ALIGN_CENTER: [0x1b, 0x61, 0x01],
+    BOLD_ON: [0x1b, 0x45, 0x01],
+    BOLD_OFF: [0x1b, 0x45, 0x00],
+    FEED_AND_CUT: [0x1d, 0x56, 0x42, 0x03],
+  };
+
+  // Caracteres del español en la página de códigos PC850
+  static PC850 = {
+    á: 0xa0,
+    é: 0x82,
+    í: 0xa1,
+    ó: 0xa2,
+    ú: 0xa3,
+    ñ: 0xa4,
+    Ñ: 0xa5,
+    ü: 0x81,
+    Ü: 0x9a,
+    Á: 0xb5,
+    É: 0x90,
+    Í: 0xd6,
+    Ó: 0xe0,
+    Ú: 0xe9,
+    "¿": 0xa8,
+    "¡": 0xad,
+  };
+
+  constructor(receiptConfig = {}) {
+    this.config = receiptConfig;
+  }
+
+  /**
+   * Verifica que la transacción tenga comprobante
+   * Lanza RECEIPT_NOT_AVAILABLE si no es compra/anulación o no fue aprobada
+   */
+  static assertIssuable(tx) {
+    if (!ReceiptBuilder.TYPES.includes(tx.type) || tx.state !== "APPROVED") {
+      const error = new Error(
+        `La transacción ${tx.transactionId} (${tx.type}, ${tx.state}) no tiene comprobante: solo compras y anulaciones aprobadas`,
+      );
+      error.code = "RECEIPT_NOT_AVAILABLE";
+      throw error;
+    }
+  }
+
+  /**
+   * Monto en centavos -> $ 1.500,00
+   */
+  static formatAmount(cents) {
+    const value = Math.abs(Number(cents) || 0);
+    const units = String(Math.floor(value / 100)).replace(
+      /\B(?=(\d{3})+(?!\d))/g,
+      ".",
+    );
+    const decimals = String(value % 100).padStart(2, "0");
+    return `${Number(cents) < 0 ? "-" : ""}$ ${units},${decimals}`;
+  }
+
+  /**
+   * Comprobante en el formato pedido
+   * options: { format, width, copies: ["customer", "merchant"], reprint: { customer: bool, … } }
+   * Retorna { contentType, body } (body es Buffer en escpos, texto en el resto)
+   */
+  render(tx, { format = "text", width, copies, reprint = {} } = {}) {
+    ReceiptBuilder.assertIssuable(tx);
+
+    const columns = width ?? this.config.width ?? 40;
+    const receipts = (copies ?? ReceiptBuilder.COPIES).map((copy) => ({
+      copy,
+      lines: this.buildLines(tx, copy, Boolean(reprint[copy])),
+    }));
+
+    const renderers = {
+      text: () => this.renderText(receipts, columns),
+      escpos: () => this.renderEscPos(receipts, columns),
+      html: () => this.renderHtml(tx, receipts, columns),
+    };
+
+    return {
+      contentType: ReceiptBuilder.CONTENT_TYPES[format],
+      body: renderers[format](),
+    };
+  }
+
+  /**
+   * Líneas de una copia: { text, align, bold } | { left, right, bold } | { separator }
+   */
+  buildLines(tx, copy, reprint) {
+    const data = tx.transactionData || {};
+    const isVoid = tx.type === "void";
+    const amount = data.amount ?? tx.amount;
+    const footer = this.config.footer?.[copy] || [];
+
+    const lines = [
+      ...this.template(this.config.header, tx).map((text) => ({
+        text,
+        align: "center",
+      })),
+      { separator: true },
+      { text: ReceiptBuilder.TITLES[tx.type], align: "center", bold: true },
+      { text: ReceiptBuilder.COPY_LABELS[copy], align: "center" },
+      reprint && { text: "*** COPIA ***", align: "center", bold: true },
+      { separator: true },
+      pair(
+        data.date && `FECHA: ${data.date}`,
+        data.time && `HORA: ${data.time}`,
+      ),
+      pair(
+        tx.terminalId && `TERMINAL: ${tx.terminalId}`,
+        data.receiptNumber && `RECIBO: ${data.receiptNumber}`,
+      ),
+      { text: `TRANSACCIÓN: ${tx.transactionId}` },
+      isVoid &&
+        tx.originalReceiptNumber && {
+          text: `RECIBO ORIGINAL: ${tx.originalReceiptNumber}`,
+        },
+      pair(data.franchise, data.last4 && `**** ${data.last4}`),
+      pair(
+        data.accountType &&
+          `CUENTA: ${ReceiptBuilder.ACCOUNT_TYPES[data.accountType] || data.accountType}`,
+        data.quotas && `CUOTAS: ${data.quotas}`,
+      ),
+      data.authorizationCode && {
+        text: `APROBACIÓN: ${data.authorizationCode}`,
+        bold: true,
+      },
+      { separator: true },
+      {
+        left: isVoid ? "VALOR ANULADO" : "VALOR",
+        right: ReceiptBuilder.formatAmount(isVoid ? -amount : amount),
+        bold: true,
+      },
+      tx.tax > 0 && {
+        left: "IVA",
+        right: ReceiptBuilder.formatAmount(tx.tax),
+      },
+      tx.tip > 0 && {
+        left: "PROPINA",
+        right: ReceiptBuilder.formatAmount(tx.tip),
+      },
+      footer.length > 0 && { separator: true },
+      ...this.template(footer, tx).map((text) => ({ text, align: "center" })),
+    ];
+
+    return lines.filter(Boolean);
+  }
+
+  /**
+   * Reemplaza {campo} en las líneas de una plantilla
+   * Se omite la línea si algún campo no tiene valor (p. ej. un NIT sin configurar)
+   */
+  template(templateLines = [], tx) {
+    const values = {
+      ...this.config.merchant,
+      terminalId: tx.terminalId,
+      deviceId: tx.deviceId,
+    };
+
+    return templateLines.flatMap((line) => {
+      let missing = false;
+      const text = line.replace(/\{(\w+)\}/g, (match, name) => {
+        const value = values[name];
+        if (value === undefined || value === null || value === "") {
+          missing = true;
+          return "";
+        }
+        return String(value);
+      });
+      return missing ? [] : [text];
+    });
+  }
+
+  /**
+   * Texto plano a `width` columnas; las copias se separan con una línea de corte
+   */
+  renderText(receipts, width) {
+    return receipts
+      .map(({ lines }) =>
+        lines
+          .flatMap((line) => layout(line, width).map(({ text }) => text))
+          .join("\n"),
+      )
+      .join(`\n\n${"- ".repeat(width / 2).trim()}\n\n`)
+      .concat("\n");
+  }
+
+  /**
+   * Bytes ESC/POS: página de códigos PC850, negrita y centrado; corte tras cada copia
+   */
+  renderEscPos(receipts, width) {
+    const { ESC_POS } = ReceiptBuilder;
+    const bytes = [...ESC_POS.INIT, ...ESC_POS.CODE_PAGE_PC850];
+
+    for (const { lines } of receipts) {
+      for (const line of lines) {
+        for (const { text, align, bold } of layout(line, width)) {
+          bytes.push(
+            ...(align === "center" ? ESC_POS.ALIGN_CENTER : ESC_POS.ALIGN_LEFT),
+            ...(bold ? ESC_POS.BOLD_ON : ESC_POS.BOLD_OFF),
+            ...encodePc850(align === "center" ? text.trim() : text),
+            0x0a,
+          );
+        }
+      }
+      bytes.push(...ESC_POS.BOLD_OFF, ...ESC_POS.FEED_AND_CUT);
+    }
+
+    return Buffer.from(bytes);
+  }
+
+  /**
+   * Documento HTML listo para imprimir; cada copia en su propia página
+   */
+  renderHtml(tx, receipts, width) {
+    const sections = receipts.map(({ copy, lines }) => {
+      const body = lines
+        .map((line) => {
+          if (line.separator) return "<hr>";
+          const classes = [
+            line.bold && "bold",
+            line.align === "center" && "center",
+          ]
+            .filter(Boolean)
+            .join(" ");
+          const attribute = classes ? ` class="${classes}"` : "";
+          if (line.left !== undefined) {
+            return `<div class="row${line.bold ? " bold" : ""}"><span>${escapeHtml(line.left)}</span><span>${escapeHtml(line.right)}</span></div>`;
+          }
+          return `<p${attribute}>${escapeHtml(line.text)}</p>`;
+        })
+        .join("\n");
+      return `<section class="receipt ${copy}">\n${body}\n</section>`;
+    });
+
+    return `<!DOCTYPE html>
+<html lang="es">
+<head>
+<meta charset="utf-8">
+<title>Comprobante ${escapeHtml(tx.transactionId)}</title>
+<style>
+body { font-family: monospace; }
+.receipt { width: ${width}ch; margin: 0 auto 2em; }
+.receipt + .receipt { page-break-before: always; }
+.receipt p { margin: 0; white-space: pre-wrap; }
+.center { text-align: center; }
+.bold { font-weight: bold; }
+.row { display: flex; justify-content: space-between; gap: 1ch; }
+hr { border: 0; border-top: 1px dashed; }
+</style>
+</head>
+<body>
+${sections.join("\n")}
+</body>
+</html>
+`;
+  }
+}
+
+/**
+ * Par izquierda/derecha (omitido si ambos están vacíos)
+ */
+function pair(left, right) {
+  if (!left && !right) return null;
+  return { left: left || "", right: right || "" };
+}
+
+/**
+ * Ajusta una línea del comprobante a `width` columnas: [{ text, align, bold }]
+ */
+function layout(line, width) {
+  if (line.separator) return [{ text: "-".repeat(width) }];
+
+  if (line.left !== undefined) {
+    const gap = width - line.left.length - line.right.length;
+    if (gap >= 1) {
+      return [
+        {
+          text: `${line.left}${" ".repeat(gap)}${line.right}`,
+          bold: line.bold,
+        },
+      ];
+    }
+    // No caben en una línea: la derecha pasa a la siguiente, alineada a la derecha
+    return [
+      ...wrap(line.left, width).map((text) => ({ text, bold: line.bold })),
+      ...wrap(line.right, width).map((text) => ({
+        text: text.padStart(width),
+        bold: line.bold,
+      })),
+    ];
+  }
+
+  return wrap(line.text, width).map((text) => ({
+    text: line.align === "center" ? center(text, width) : text,
+    align: line.align,
+    bold: line.bold,
+  }));
+}
+
+// Corta por palabras; una palabra más larga que el ancho se parte
+function wrap(text, width) {
+  const rows = [];
+  let row = "";
+  for (const word of String(text).split(/\s+/).filter(Boolean)) {
+    if (row && row.length + 1 + word.length > width) {
+      rows.push(row);
+      row = "";
+    }
+    row = row ? `${row} ${word}` : word;
+    while (row.length > width) {
+      rows.push(row.slice(0, width));
+      row = row.slice(width);
+    }
+  }
+  if (row || rows.length === 0) rows.push(row);
+  return rows;
+}
+
+function center(text, width) {
+  return `${" ".repeat(Math.floor((width - text.length) / 2))}${text}`;
+}
+
+function encodePc850(text) {
+  return [...text].map((char) => {
+    const code = char.charCodeAt(0);
+    if (code < 0x80) return code;
+    return ReceiptBuilder.PC850[char] ?? 0x3f; // "?"
+  });
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
@@ -2,20 +2,71 @@
  * Gestor de comunicación serial con datáfono
  */
 
+import { EventEmitter } from "events";
 import { SerialPort } from "serialport";
 import { logger, logHex } from "./logger.js";
 import { TEFProtocol } from "./TEFProtocol.js";
+import { FrameReader } from "./FrameReader.js";
+import { TransactionQueue } from "./TransactionQueue.js";
+import { TransactionTimeouts } from "./TransactionTimeouts.js";
+import { ConnectionSupervisor } from "./ConnectionSupervisor.js";
+import { TEFSimulator, VirtualSerialPort } from "./TEFSimulator.js";
 
-export class SerialManager {
-  constructor(config) {
+/**
+ * Eventos emitidos:
+ *  - "frame" { frame, presentationHeader, response, receivedAt } Trama válida (ya confirmada con ACK)
+ *  - "invalidFrame" { frame, error }  Trama completa con LRC inválido
+ *  - "ack" / "nack" / "eot"           Control recibido del datáfono
+ *  - "connected" { port }             Puerto abierto
+ *  - "disconnected" { reason, expected } Puerto cerrado o con error (expected: por disconnect())
+ */
+export class SerialManager extends EventEmitter {
+  constructor(config, tefConfig = {}) {
+    super();
     this.config = config;
+    this.tefConfig = tefConfig;
     this.port = null;
     this.isConnected = false;
-  
-    this.pendingResolves = new Map();
-    this.responseBuffer = Buffer.alloc(0);
+    this.simulator = null;
+    this.lastError = null;
+    this.lastFrameAt = null;
+    this.closing = false;
+
+    // Una sola petición en espera de respuesta a la vez
+    this.pendingRequest = null;
 
-    
+    // Acceso exclusivo al datáfono (handshake + transacción atómicos)
+    this.queue = new TransactionQueue(tefConfig.queue);
+
+    // Reensamblado de tramas por LENGTH
+    this.frameReader = new FrameReader({
+      interByteTimeout: config.interByteTimeout,
+    });
+    this.frameReader.on("frame", ({ frame }) => this.handleFrame(frame));
+    this.frameReader.on("invalid", ({ frame, error }) => {
+      logger.warn(`Trama inválida: ${error}, solicitando retransmisión`);
+      this.sendNack();
+      this.emit("invalidFrame", { frame, error });
+    });
+    this.frameReader.on("ack", () => {
+      logger.debug("ACK recibido");
+      this.emit("ack");
+    });
+    this.frameReader.on("nack", () => {
+      logger.debug("NACK recibido");
+      this.emit("nack");
+    });
+    this.frameReader.on("eot", () => {
+      logger.debug("EOT recibido");
+      this.emit("eot");
+    });
+    this.frameReader.on("discard", ({ bytes, reason }) => {
+      logger.warn(`${reason}: ${bytes.length} bytes descartados`);
+      logHex(bytes, "Bytes descartados");
+    });
+
+    // Reconexión con backoff y sondeo de vida (se inicia con supervisor.start())
+    this.supervisor = new ConnectionSupervisor(this, config);
   }
 
   /**
@@ -23,38 +74,24 @@ export class SerialManager {
    */
   async connect() {
     try {
+      // Un puerto anterior a medio cerrar (error sin close) se libera primero
+      if (this.port?.isOpen) {
+        await this.disconnect();
+      }
 
+      // Modo mock: datáfono simulado sobre un puerto virtual
+      if (this.tefConfig.mockMode) {
+        return this.connectMock();
+      }
 
-      logger.info(`Conectando a ${this.config.port}...`);
-
-      // En Mac/Linux, intentar puertos comunes si COM3 falla
-      let portPath = this.config.port;
-      if (process.platform !== "win32" && portPath === "COM3") {
-        // Puerto comunes en Mac
-        const macPorts = [
-          "/dev/tty.usbserial",
-          "/dev/ttyUSB0",
-          "/dev/ttyACM0",
-          "/dev/ttyS0",
-        ];
-
-        // Verificar puertos disponibles
-        const ports = await SerialPort.list();
-        const availablePorts = ports.map((p) => p.path);
-        logger.info(`Puertos disponibles: ${availablePorts.join(", ")}`);
-
-        // Buscar un puerto válido
-        const validPort = macPorts.find((port) =>
-          availablePorts.includes(port),
-        );
-        if (validPort) {
-          portPath = validPort;
-          logger.info(`Usando puerto: ${portPath}`);
-        } else {
-          return;
-        }
+      const portPath = await this.resolvePortPath();
+      if (!portPath) {
+        this.lastError = "Datáfono no encontrado en los puertos disponibles";
+        logger.warn(this.lastError);
+        return;
       }
 
+      logger.info(`Conectando a ${portPath}...`);
       this.port = new SerialPort({
         path: portPath,
         baudRate: this.config.baudRate || 9600,
@@ -64,45 +101,174 @@ export class SerialManager {
         autoOpen: false,
       });
 
-      return new Promise((resolve, reject) => {
-        this.port.open((error) => {
-          if (error) {
-            logger.error(`Error abriendo puerto: ${error.message}`);
-            resolve();
-            return;
-          }
+      return this.openPort(portPath);
+    } catch (error) {
+      this.lastError = error.message;
+      logger.error(`Error en conexión: ${error.message}`);
 
-          logger.info(
-            `Conectado a ${portPath} a ${this.config.baudRate} bauds`,
-          );
-          this.isConnected = true;
+    }
+  }
 
-          // Configurar manejadores de eventos
-          this.port.on("data", (data) => this.handleData(data));
-          this.port.on("error", (error) => this.handleError(error));
-          this.port.on("close", () => this.handleClose());
+  /**
+   * Determina el puerto del datáfono
+   * Con serial.vendorId/productId se busca el dispositivo USB en cualquier puerto
+   * (Windows puede renumerar el COM al reconectarlo); si no, se usa serial.port
+   */
+  async resolvePortPath() {
+    const { vendorId, productId } = this.config;
+
+    if (vendorId || productId) {
+      const ports = await SerialPort.list();
+      const matches = (expected, actual) =>
+        !expected ||
+        String(actual || "").toLowerCase() === String(expected).toLowerCase();
+      const device = ports.find(
+        (port) =>
+          matches(vendorId, port.vendorId) &&
+          matches(productId, port.productId),
+      );
+
+      if (device) {
+        logger.info(
+          `Datáfono ${vendorId || "*"}:${productId || "*"} detectado en ${device.path}`,
+        );
+        return device.path;
+      }
+      return null;
+    }
 
-          resolve();
-        });
-      });
-    } catch (error) {
-      logger.error(`Error en conexión: ${error.message}`);
+    // En Mac/Linux, intentar puertos comunes si COM3 falla
+    let portPath = this.config.port;
+    if (process.platform !== "win32" && portPath === "COM3") {
+      // Puerto comunes en Mac
+      const macPorts = [
+        "/dev/tty.usbserial",
+        "/dev/ttyUSB0",
+        "/dev/ttyACM0",
+        "/dev/ttyS0",
+      ];
+
+      // Verificar puertos disponibles
+      const ports = await SerialPort.list();
+      const availablePorts = ports.map((p) => p.path);
+      logger.info(`Puertos disponibles: ${availablePorts.join(", ")}`);
+
+      // Buscar un puerto válido
+      portPath = macPorts.find((port) => availablePorts.includes(port));
+      if (portPath) {
+        logger.info(`Usando puerto: ${portPath}`);
+      }
+    }
+
+    return portPath || null;
+  }
+
+  /**
+   * Cambia el puerto o los parámetros seriales y reconecta
+   * Cierra el enlace actual sin que el supervisor lo trate como una caída.
+   * Retorna true si el nuevo puerto quedó abierto; si no, el supervisor sigue
+   * reintentando con los parámetros nuevos. DEVICE_BUSY si hay transacciones
+   */
+  async reconfigure(settings) {
+    this.assertIdle();
+
+    this.supervisor.stop();
+    await this.disconnect();
+    Object.assign(this.config, settings);
+
+    await this.connect();
+    this.supervisor.start();
+    return this.isConnected;
+  }
 
+  /**
+   * Cierra el enlace a pedido del operador: el supervisor deja de reconectar
+   * hasta el siguiente reconfigure() o reinicio del servicio
+   */
+  async disconnectManually() {
+    this.assertIdle();
+
+    this.supervisor.stop();
+    await this.disconnect();
+  }
+
+  /**
+   * Falla con DEVICE_BUSY si hay una transacción en curso o en cola
+   */
+  assertIdle() {
+    const { active, waiting } = this.queue;
+    if (active || waiting.length > 0) {
+      throw TransactionQueue.busyError(
+        "DEVICE_BUSY",
+        `Datáfono ocupado con la transacción ${active?.transactionId ?? waiting[0].info.transactionId}`,
+      );
     }
   }
 
+  /**
+   * Conecta al simulador de datáfono (tef.mockMode)
+   * El simulador se crea una sola vez: al reconectar conserva los escenarios en
+   * cola, el lote y la última transacción, como un datáfono real
+   */
+  async connectMock() {
+    const portPath = this.tefConfig.mockPort || "/dev/tty.mock";
+    logger.info(`Modo mock: conectando al datáfono simulado en ${portPath}`);
+
+    this.simulator ??= new TEFSimulator({
+      scenario: this.tefConfig.mockScenario,
+      responseDelay: this.tefConfig.mockResponseDelay,
+    });
+    this.port = new VirtualSerialPort({
+      path: portPath,
+      simulator: this.simulator,
+    });
+
+    return this.openPort(portPath);
+  }
+
+  /**
+   * Abre el puerto creado y registra los manejadores de eventos
+   */
+  openPort(portPath) {
+    return new Promise((resolve, reject) => {
+      this.port.open((error) => {
+        if (error) {
+          this.lastError = error.message;
+          logger.error(`Error abriendo puerto: ${error.message}`);
+          resolve();
+          return;
+        }
+
+        logger.info(`Conectado a ${portPath} a ${this.config.baudRate} bauds`);
+        this.isConnected = true;
+        this.lastError = null;
+
+        // Configurar manejadores de eventos
+        this.port.on("data", (data) => this.handleData(data));
+        this.port.on("error", (error) => this.handleError(error));
+        this.port.on("close", () => this.handleClose());
+
+        this.emit("connected", { port: portPath });
+        resolve();
+      });
+    });
+  }
+
   /**
    * Desconecta del puerto serial
    */
   async disconnect() {
     return new Promise((resolve) => {
-      if (!this.port || !this.isConnected) {
+      if (!this.port?.isOpen) {
         resolve();
         return;
       }
 
+      // El close que sigue es intencional: el supervisor no debe reconectar
+      this.closing = true;
       this.port.close((error) => {
         if (error) {
+          this.closing = false;
           logger.error(`Error cerrando puerto: ${error.message}`);
         } else {
           logger.info("Puerto serial cerrado");
@@ -113,41 +279,232 @@ export class SerialManager {
     });
   }
 
+  /**
+   * Ejecuta una secuencia de tramas con acceso exclusivo al datáfono
+   * Nada puede intercalarse entre el handshake y la transacción
+   */
+  runExclusive(info, task) {
+    return this.queue.run(info, task);
+  }
+
+  /**
+   * Cancela una transacción en cola o en curso
+   * En cola se retira sin tocar el datáfono; en curso se envía EOT y se rechaza
+   * la espera con code CANCELLED, liberando el datáfono para la siguiente.
+   * Retorna "queued", "active" o null si la transacción no está en el datáfono
+   */
+  cancel(transactionId) {
+    const error = new Error(`Transacción ${transactionId} cancelada`);
+    error.code = "CANCELLED";
+
+    if (this.queue.cancel(transactionId, error)) {
+      logger.info(`Transacción ${transactionId} retirada de la cola`);
+      return "queued";
+    }
+
+    if (this.queue.active?.transactionId !== transactionId) {
+      return null;
+    }
+
+    logger.warn(`Cancelando transacción ${transactionId} en curso`);
+    if (this.isConnected) {
+      this.sendEot();
+    }
+    this.pendingRequest?.reject(error);
+    return "active";
+  }
+
   /**
    * Envía trama al datáfono y espera respuesta
+   * Se resuelve con la primera trama válida recibida después del envío.
+   * Debe llamarse dentro de runExclusive(): solo hay una petición pendiente a la vez.
+   * timeout: por defecto el plazo de handshake de tef.timeouts
+   * options.onAck: se invoca cuando el datáfono confirma la recepción de la trama
+   * options.phase: fase que se reporta si vence el plazo (TransactionTimeouts.PHASES)
+   * options.ackTimeout: plazo del ACK de la trama (por defecto el de tef.timeouts)
    */
-  async sendAndReceive(frame, timeout = 60000) {
+  async sendAndReceive(frame, timeout, options = {}) {
+    timeout ??= TransactionTimeouts.resolve(this.tefConfig).handshake;
+
     if (!this.isConnected) {
       throw new Error("No conectado al datáfono");
     }
 
-
+    if (this.pendingRequest) {
+      const error = new Error(
+        "Ya hay una trama esperando respuesta del datáfono",
+      );
+      error.code = "DEVICE_BUSY";
+      throw error;
+    }
 
     return new Promise((resolve, reject) => {
-      const transactionId = Date.now().toString();
-      let timeoutId;
+      let settled = false;
+      // Detiene las retransmisiones de sendFrame al cancelar, vencer o cerrarse el puerto
+      const link = new AbortController();
+
+      const settle = (callback, value) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timeoutId);
+        this.off("frame", onFrame);
+        this.pendingRequest = null;
+        link.abort(value);
+        callback(value);
+      };
+
+      // Respuesta ilegible: el resultado es desconocido, no un rechazo
+      const onFrame = ({ response }) => {
+        if (response.status === "INDETERMINATE") {
+          const error = new Error(response.message);
+          error.code = response.errorCode;
+          error.indeterminate = true;
+          settle(reject, error);
+        } else {
+          settle(resolve, response);
+        }
+      };
 
       // Configurar timeout
-      timeoutId = setTimeout(() => {
-        this.pendingResolves.delete(transactionId);
-        reject(new Error("Timeout esperando respuesta del datáfono"));
+      const timeoutId = setTimeout(() => {
+        if (options.phase) {
+          settle(
+            reject,
+            TransactionTimeouts.timeoutError(options.phase, timeout),
+          );
+          return;
+        }
+        const error = new Error("Timeout esperando respuesta del datáfono");
+        error.code = "RESPONSE_TIMEOUT";
+        settle(reject, error);
       }, timeout);
 
-      // Guardar resolver para usar cuando llegue la respuesta
-      this.pendingResolves.set(transactionId, { resolve, reject, timeoutId });
+      // Guardar rechazo para cierres/errores del puerto
+      this.pendingRequest = {
+        reject: (error) => settle(reject, error),
+      };
+      this.on("frame", onFrame);
+
+      // Enviar trama y esperar su ACK (con retransmisiones)
+      this.sendFrame(frame, options.ackTimeout, link.signal).then(
+        () => {
+          if (!settled) options.onAck?.();
+        },
+        (error) => settle(reject, error),
+      );
+    });
+  }
 
-      // Enviar trama
-      this.sendFrame(frame);
+  /**
+   * Espera la siguiente trama del datáfono sin enviar nada (respuesta tardía)
+   * Retorna la respuesta parseada o null si no llega nada en el plazo.
+   * Debe llamarse dentro de runExclusive(), igual que sendAndReceive(): queda
+   * como petición pendiente, así cancel() o el cierre del puerto cortan la espera
+   */
+  waitForFrame(timeout) {
+    return new Promise((resolve, reject) => {
+      const settle = (callback, value) => {
+        clearTimeout(timeoutId);
+        this.off("frame", onFrame);
+        this.pendingRequest = null;
+        callback(value);
+      };
+
+      const onFrame = ({ response }) => settle(resolve, response);
+      const timeoutId = setTimeout(() => settle(resolve, null), timeout);
+
+      this.pendingRequest = {
+        reject: (error) => settle(reject, error),
+      };
+      this.on("frame", onFrame);
     });
   }
 
- 
   /**
-   * Envía una trama al datáfono
+   * Envía una trama al datáfono y espera su ACK
+   * Retransmite ante NACK o silencio hasta tef.maxRetries veces.
+   * Una trama de respuesta válida también confirma la recepción (ACK perdido).
+   * Un error de enlace se reporta en la fase "ack"
+   * signal: al abortarse deja de esperar el ACK y no vuelve a escribir la trama
    */
-  sendFrame(frame) {
-  
+  sendFrame(
+    frame,
+    ackTimeout = TransactionTimeouts.resolve(this.tefConfig).ack,
+    signal,
+  ) {
+    const maxRetries = this.tefConfig.maxRetries ?? 3;
+
+    return new Promise((resolve, reject) => {
+      let attempt = 0;
+      let timeoutId;
+
+      const cleanup = () => {
+        clearTimeout(timeoutId);
+        this.off("ack", onAck);
+        this.off("frame", onAck);
+        this.off("nack", onNack);
+        signal?.removeEventListener("abort", onAbort);
+      };
+
+      const onAbort = () => {
+        cleanup();
+        reject(signal.reason);
+      };
+
+      const onAck = () => {
+        cleanup();
+        if (attempt > 1) {
+          logger.info(`Trama confirmada en el intento ${attempt}`);
+        }
+        resolve();
+      };
+
+      const retry = (reason) => {
+        clearTimeout(timeoutId);
 
+        if (!this.isConnected || attempt > maxRetries) {
+          cleanup();
+          const error = new Error(
+            `Error de enlace con el datáfono: ${reason} tras ${attempt} intento(s)`,
+          );
+          error.code = "LINK_ERROR";
+          error.phase = "ack";
+          logger.error(error.message);
+          reject(error);
+          return;
+        }
+
+        logger.warn(
+          `${reason}, retransmitiendo trama (intento ${attempt + 1}/${maxRetries + 1})`,
+        );
+        transmit();
+      };
+
+      const onNack = () => retry("NACK recibido");
+
+      const transmit = () => {
+        attempt++;
+        this.writeFrame(frame);
+        timeoutId = setTimeout(() => retry("Sin ACK del datáfono"), ackTimeout);
+      };
+
+      if (signal?.aborted) {
+        reject(signal.reason);
+        return;
+      }
+
+      this.on("ack", onAck);
+      this.on("frame", onAck);
+      this.on("nack", onNack);
+      signal?.addEventListener("abort", onAbort, { once: true });
+      transmit();
+    });
+  }
+
+  /**
+   * Escribe una trama en el puerto serial
+   */
+  writeFrame(frame) {
     logHex(frame, "Enviando trama");
 
     this.port.write(frame, (error) => {
@@ -164,16 +521,31 @@ export class SerialManager {
    * Envía ACK de confirmación al datáfono
    */
   sendAck() {
-  
+    this.writeControl(TEFProtocol.ACK, "ACK");
+  }
 
-    const ack = Buffer.from([0x06]);
-    logHex(ack, "Enviando ACK");
+  /**
+   * Envía NACK al datáfono para que retransmita la última trama
+   */
+  sendNack() {
+    this.writeControl(TEFProtocol.NACK, "NACK");
+  }
 
-    this.port.write(ack, (error) => {
+  /**
+   * Envía EOT al datáfono para abortar la transacción en curso
+   */
+  sendEot() {
+    this.writeControl(TEFProtocol.EOT, "EOT");
+  }
+
+  writeControl(byte, label) {
+    logHex(byte, `Enviando ${label}`);
+
+    this.port.write(byte, (error) => {
       if (error) {
-        logger.error(`Error enviando ACK: ${error.message}`);
+        logger.error(`Error enviando ${label}: ${error.message}`);
       } else {
-        logger.debug("ACK enviado exitosamente");
+        logger.debug(`${label} enviado exitosamente`);
       }
     });
   }
@@ -183,123 +555,73 @@ export class SerialManager {
    */
   handleData(data) {
     logHex(data, "Datos recibidos");
-
-    // Agregar al buffer
-    this.responseBuffer = Buffer.concat([this.responseBuffer, data]);
-
-    // Procesar ACKs inmediatos
-    if (this.responseBuffer.length === 1 && this.responseBuffer[0] === 0x06) {
-      logger.debug("ACK recibido");
-      this.responseBuffer = Buffer.alloc(0);
-      return;
-    }
-
-    // Intentar procesar como trama completa
-    this.processResponseBuffer();
-  }
-
-  /**
-   * Procesa el buffer de respuesta buscando tramas completas
-   */
-  processResponseBuffer() {
-    // Buscar STX
-    const stxIndex = this.responseBuffer.indexOf(0x02);
-    if (stxIndex === -1) {
-      // No hay STX, descartar
-      this.responseBuffer = Buffer.alloc(0);
-      return;
-    }
-
-    // Buscar ETX después del STX
-    const etxIndex = this.responseBuffer.indexOf(0x03, stxIndex);
-    if (etxIndex === -1) {
-      // ETX no encontrado, esperar más datos
-      return;
-    }
-
-    // Trama completa (STX a LRC inclusive)
-    const frameLength = etxIndex + 2; // ETX + LRC
-    if (this.responseBuffer.length < frameLength) {
-      // No tenemos toda la trama aún
-      return;
-    }
-
-    const completeFrame = this.responseBuffer.subarray(stxIndex, frameLength);
-
-    // Validar trama
-    const validation = TEFProtocol.validateFrame(completeFrame);
-    if (validation.valid) {
-      logger.info("Trama válida recibida");
-
-      // Enviar ACK de confirmación
-      this.sendAck();
-
-      // Parsear respuesta
-      const parsedResponse = TEFProtocol.parseResponse(completeFrame);
-
-      // Resolver promesa pendiente
-      this.resolvePending(parsedResponse);
-    } else {
-      logger.warn(`Trama inválida: ${validation.error}`);
-    }
-
-    // Limpiar buffer procesado
-    this.responseBuffer = this.responseBuffer.subarray(frameLength);
-
-    // Si queda algo en el buffer, procesarlo
-    if (this.responseBuffer.length > 0) {
-      this.processResponseBuffer();
-    }
+    this.frameReader.push(data);
   }
 
   /**
-   * Resuelve promesa pendiente con la respuesta
+   * Procesa una trama completa y válida entregada por el FrameReader
    */
-  resolvePending(response) {
-    if (this.pendingResolves.size === 0) return;
+  handleFrame(frame) {
+    logger.info("Trama válida recibida");
+    logHex(frame, "Trama recibida");
 
-    // Tomar la primera promesa pendiente (asumimos una transacción a la vez)
-    const [id, { resolve, reject, timeoutId }] = this.pendingResolves
-      .entries()
-      .next().value;
+    // Enviar ACK de confirmación
+    this.sendAck();
 
-    clearTimeout(timeoutId);
-    this.pendingResolves.delete(id);
+    this.lastFrameAt = new Date();
 
-    if (response.error) {
-      reject(new Error(response.error));
-    } else {
-      resolve(response);
-    }
+    // Parsear respuesta y notificar a quien espera
+    const response = TEFProtocol.parseResponse(frame, {
+      strict: this.tefConfig.strictParsing ?? true,
+    });
+    this.emit("frame", {
+      frame,
+      presentationHeader: frame.subarray(13, 20),
+      response,
+      receivedAt: new Date(),
+    });
   }
 
   /**
    * Maneja errores del puerto serial
+   * Un error puede llegar sin close posterior: se avisa igual que un cierre para
+   * que el supervisor reconecte
    */
   handleError(error) {
     logger.error(`Error en puerto serial: ${error.message}`);
+    const wasConnected = this.isConnected;
     this.isConnected = false;
+    this.lastError = error.message;
+
+    // Rechazar la petición pendiente
+    this.pendingRequest?.reject(new Error(`Error serial: ${error.message}`));
 
-    // Rechazar todas las promesas pendientes
-    for (const { reject } of this.pendingResolves.values()) {
-      reject(new Error(`Error serial: ${error.message}`));
+    if (wasConnected) {
+      this.emit("disconnected", {
+        reason: `Error serial: ${error.message}`,
+        expected: false,
+      });
     }
-    this.pendingResolves.clear();
   }
 
   /**
    * Maneja cierre del puerto
    */
   handleClose() {
+    const expected = this.closing;
+    this.closing = false;
+
     logger.info("Puerto serial cerrado");
     this.isConnected = false;
-    this.responseBuffer = Buffer.alloc(0);
+    this.frameReader.reset("Puerto serial cerrado");
 
-    // Rechazar todas las promesas pendientes
-    for (const { reject } of this.pendingResolves.values()) {
-      reject(new Error("Puerto serial cerrado"));
-    }
-    this.pendingResolves.clear();
+    // Rechazar la petición pendiente
+    this.pendingRequest?.reject(new Error("Puerto serial cerrado"));
+
+    this.emit("disconnected", {
+      reason: expected ? "Desconexión solicitada" : "Puerto serial cerrado",
+      expected,
+    });
   }
 
   /**
@@ -308,10 +630,15 @@ export class SerialManager {
   getStatus() {
     return {
       connected: this.isConnected,
- 
-      port: this.config.port,
+      isMockMode: Boolean(this.tefConfig.mockMode),
+      port: this.port?.path || this.config.port,
       baudRate: this.config.baudRate,
+      dataBits: this.config.dataBits,
+      stopBits: this.config.stopBits,
+      parity: this.config.parity,
       platform: process.platform,
+      queue: this.queue.getStatus(),
+      link: this.supervisor.getStatus(),
     };
   }
 }
@@ -0,0 +1,70 @@
+/**
+ * Parámetros seriales elegidos desde la API (POST /api/connect)
+ * Se guardan en disco para que el puerto elegido sobreviva a un reinicio;
+ * al arrancar se aplican sobre config.serial
+ */
+
+import fs from "fs";
+import { dirname } from "path";
+import { logger } from "./logger.js";
+
+export class SerialSettingsStore {
+  // Únicas claves que se guardan (lo demás sigue viniendo de config.json)
+  static KEYS = [
+    "port",
+    "baudRate",
+    "dataBits",
+    "stopBits",
+    "parity",
+    "vendorId",
+    "productId",
+  ];
+
+  constructor(filePath) {
+    this.filePath = filePath;
+  }
+
+  /**
+   * Lee los parámetros guardados ({} si no hay o el archivo es ilegible)
+   */
+  load() {
+    if (!fs.existsSync(this.filePath)) return {};
+
+    try {
+      return SerialSettingsStore.pick(
+        JSON.parse(fs.readFileSync(this.filePath, "utf8")),
+      );
+    } catch (error) {
+      logger.warn(
+        `Parámetros seriales guardados ilegibles (${this.filePath}), se ignoran: ${error.message}`,
+      );
+      return {};
+    }
+  }
+
+  /**
+   * Guarda los parámetros (archivo temporal + rename para no dejarlo a medias)
+   */
+  save(settings) {
+    const data = {
+      ...SerialSettingsStore.pick(settings),
+      savedAt: new Date().toISOString(),
+    };
+    const tempPath = `${this.filePath}.tmp`;
+
+    fs.mkdirSync(dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(tempPath, `${JSON.stringify(data, null, 2)}\n`);
+    fs.renameSync(tempPath, this.filePath);
+    logger.info(`Parámetros seriales guardados en ${this.filePath}`);
+    return data;
+  }
+
+  static pick(settings) {
+    return Object.fromEntries(
+      SerialSettingsStore.KEYS.filter((key) => key in settings).map((key) => [
+        key,
+        settings[key],
+      ]),
+    );
+  }
+}
@@ -0,0 +1,343 @@
+/**
+ * Diccionario de campos TEF II
+ * Cada campo se declara una sola vez (código, nombre, longitud, tipo y dirección);
+ * los constructores de tramas y el parser de respuestas lo usan para codificar y
+ * decodificar, de modo que un tipo de transacción nuevo es solo una lista de campos.
+ */
+
+// Totales del cierre: [Cantidad(4)][Monto(12)]
+const COUNT_LENGTH = 4;
+const AMOUNT_LENGTH = 12;
+const FRANCHISE_LENGTH = 10;
+
+function decodeTotal(text) {
+  return {
+    count: parseInt(text.substring(0, COUNT_LENGTH), 10) || 0,
+    amount:
+      parseInt(
+        text.substring(COUNT_LENGTH, COUNT_LENGTH + AMOUNT_LENGTH),
+        10,
+      ) || 0,
+  };
+}
+
+function encodeTotal({ count, amount }) {
+  return `${String(count).padStart(COUNT_LENGTH, "0")}${String(amount).padStart(AMOUNT_LENGTH, "0")}`;
+}
+
+export class TEFFields {
+  /**
+   * Tipos de campo: encode(valor, longitud) -> texto ASCII, decode(texto) -> valor tipado
+   */
+  static TYPES = {
+    // Dígitos con ceros a la izquierda (se conservan como texto: recibos, cuotas…)
+    numeric: {
+      encode: (value, length) => String(value).padStart(length, "0"),
+      decode: (text) => text.trim(),
+    },
+
+    // Texto con espacios a la derecha
+    alpha: {
+      encode: (value, length) => String(value).padEnd(length, " "),
+      decode: (text) => text.trim(),
+    },
+
+    // Monto en centavos: 12 dígitos <-> entero
+    amount: {
+      encode: (value, length) =>
+        String(Math.round(Number(value))).padStart(length, "0"),
+      decode: (text) => {
+        const value = parseInt(text, 10);
+        return Number.isNaN(value) ? null : value;
+      },
+    },
+
+    // AAAAMMDD <-> AAAA-MM-DD
+    date: {
+      encode: (value) => String(value).replace(/-/g, ""),
+      decode: (text) => {
+        const match = /^(\d{4})(\d{2})(\d{2})$/.exec(text.trim());
+        return match ? `${match[1]}-${match[2]}-${match[3]}` : text.trim();
+      },
+    },
+
+    // HHMM <-> HH:MM
+    time: {
+      encode: (value) => String(value).replace(/:/g, ""),
+      decode: (text) => {
+        const match = /^(\d{2})(\d{2})$/.exec(text.trim());
+        return match ? `${match[1]}:${match[2]}` : text.trim();
+      },
+    },
+
+    // Registros [Franquicia(10)][Cantidad(4)][Monto(12)] repetidos
+    franchiseTotals: {
+      encode: (value) =>
+        value
+          .map(
+            ({ franchise, ...total }) =>
+              `${franchise.padEnd(FRANCHISE_LENGTH, " ")}${encodeTotal(total)}`,
+          )
+          .join(""),
+      decode: (text) => {
+        const recordLength = FRANCHISE_LENGTH + COUNT_LENGTH + AMOUNT_LENGTH;
+        const records = [];
+        for (
+          let position = 0;
+          position + recordLength <= text.length;
+          position += recordLength
+        ) {
+          const record = text.substring(position, position + recordLength);
+          records.push({
+            franchise: record.substring(0, FRANCHISE_LENGTH).trim(),
+            ...decodeTotal(record.substring(FRANCHISE_LENGTH)),
+          });
+        }
+        return records;
+      },
+    },
+
+    // [Cantidad(4)][Monto(12)]
+    total: {
+      encode: (value) => encodeTotal(value),
+      decode: (text) => decodeTotal(text),
+    },
+  };
+
+  /**
+   * Campos conocidos
+   * length null: longitud variable (la define el valor)
+   * direction: request (host -> datáfono), response (datáfono -> host) o both
+   */
+  static FIELDS = [
+    {
+      code: 40,
+      name: "amount",
+      length: 12,
+      type: "amount",
+      direction: "both",
+      description: "Valor total (en consulta de saldo: saldo disponible)",
+    },
+    {
+      code: 41,
+      name: "tax",
+      length: 12,
+      type: "amount",
+      direction: "request",
+      default: 0,
+      description: "Valor IVA",
+    },
+    {
+      code: 42,
+      name: "terminalId",
+      length: 10,
+      type: "alpha",
+      direction: "both",
+      default: "001",
+      description: "Número de caja",
+    },
+    {
+      code: 43,
+      name: "receiptNumber",
+      length: 6,
+      type: "numeric",
+      direction: "both",
+      description: "Número de recibo",
+    },
+    {
+      code: 45,
+      name: "authorizationCode",
+      length: 6,
+      type: "alpha",
+      direction: "response",
+      description: "Código de autorización",
+    },
+    {
+      code: 46,
+      name: "date",
+      length: 8,
+      type: "date",
+      direction: "response",
+      description: "Fecha de la transacción",
+    },
+    {
+      code: 47,
+      name: "time",
+      length: 4,
+      type: "time",
+      direction: "response",
+      description: "Hora de la transacción",
+    },
+    {
+      code: 48,
+      name: "responseCode",
+      length: 2,
+      type: "alpha",
+      direction: "response",
+      description: "Código de respuesta (00 = aprobada)",
+    },
+    {
+      code: 49,
+      name: "franchise",
+      length: 10,
+      type: "alpha",
+      direction: "response",
+      description: "Franquicia",
+    },
+    {
+      code: 50,
+      name: "accountType",
+      length: 2,
+      type: "alpha",
+      direction: "response",
+      description: "Tipo de cuenta",
+    },
+    {
+      code: 51,
+      name: "quotas",
+      length: 2,
+      type: "numeric",
+      direction: "response",
+      description: "Número de cuotas",
+    },
+    {
+      code: 53,
+      name: "transactionId",
+      length: 10,
+      type: "alpha",
+      direction: "both",
+      description: "Número de transacción",
+    },
+    {
+      code: 54,
+      name: "last4",
+      length: 4,
+      type: "numeric",
+      direction: "response",
+      description: "Últimos 4 dígitos de la tarjeta",
+    },
+    {
+      code: 70,
+      name: "franchiseTotals",
+      length: null,
+      type: "franchiseTotals",
+      direction: "response",
+      description: "Totales del cierre por franquicia",
+    },
+    {
+      code: 71,
+      name: "voidTotals",
+      length: 16,
+      type: "total",
+      direction: "response",
+      description: "Totales de anulaciones del cierre",
+    },
+    {
+      code: 81,
+      name: "tip",
+      length: 12,
+      type: "amount",
+      direction: "request",
+      default: 0,
+      description: "Propina o cash back",
+    },
+    {
+      code: 82,
+      name: "iac",
+      length: 12,
+      type: "amount",
+      direction: "request",
+      default: 0,
+      description: "Valor IAC",
+    },
+    {
+      code: 83,
+      name: "cashierId",
+      length: 12,
+      type: "alpha",
+      direction: "request",
+      default: "001",
+      description: "Identificación del cajero",
+    },
+    {
+      code: 84,
+      name: "filler",
+      length: 12,
+      type: "numeric",
+      direction: "request",
+      default: 0,
+      description: "Filler (siempre 000000000000)",
+    },
+    {
+      code: 85,
+      name: "couponCode",
+      length: 20,
+      type: "alpha",
+      direction: "both",
+      description: "Código del cupón",
+    },
+    {
+      code: 86,
+      name: "bondNumber",
+      length: 20,
+      type: "alpha",
+      direction: "both",
+      description: "Número del bono",
+    },
+    {
+      code: 87,
+      name: "discount",
+      length: 12,
+      type: "amount",
+      direction: "response",
+      description: "Descuento aplicado por el cupón",
+    },
+    {
+      code: 88,
+      name: "bondBalance",
+      length: 12,
+      type: "amount",
+      direction: "response",
+      description: "Saldo del bono después de la recarga",
+    },
+  ];
+
+  static byCode = new Map(TEFFields.FIELDS.map((field) => [field.code, field]));
+  static byName = new Map(TEFFields.FIELDS.map((field) => [field.name, field]));
+
+  /**
+   * Obtiene la definición de un campo por nombre
+   */
+  static get(name) {
+    const field = TEFFields.byName.get(name);
+    if (!field) {
+      throw new Error(`Campo TEF desconocido: ${name}`);
+    }
+    return field;
+  }
+
+  /**
+   * Codifica el valor de un campo a su texto ASCII de longitud fija
+   */
+  static encode(field, value) {
+    return TEFFields.TYPES[field.type].encode(value ?? "", field.length);
+  }
+
+  /**
+   * Decodifica un campo recibido
+   * Los códigos que no están en el diccionario se devuelven como texto (field<código>)
+   */
+  static decode(code, valueBuffer) {
+    const text = valueBuffer.toString("ascii");
+    const field = TEFFields.byCode.get(parseInt(code, 10));
+
+    if (!field) {
+      return { name: `field${code}`, value: text.trim() };
+    }
+
+    return {
+      name: field.name,
+      value: TEFFields.TYPES[field.type].decode(text),
+    };
+  }
+}
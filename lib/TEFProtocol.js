@@ -3,7 +3,8 @@
  * Implementación completa del protocolo de comunicación con datáfonos
  */
 
-import { logger, logHex } from "./logger.js";
+import { logger, logHex, redact } from "./logger.js";
+import { TEFFields } from "./TEFFields.js";
 
 export class TEFProtocol {
   // Caracteres de control
@@ -12,6 +13,7 @@ export class TEFProtocol {
   static SEPARATOR = Buffer.from("1C", "hex");
   static ACK = Buffer.from("06", "hex");
   static NACK = Buffer.from("15", "hex");
+  static EOT = Buffer.from("04", "hex"); // Aborta la operación en curso
 
   // Headers fijos
   static TRANSPORT_HEADER = Buffer.from("36303030303030303030", "hex"); // "6000000000" (10 bytes)
@@ -24,12 +26,88 @@ export class TEFProtocol {
     // Headers para transacciones (7 bytes)
     COMPRA: Buffer.from("31303030303030", "hex"), // "1000000" - Compra normal (7 bytes)
     COMPRA_CON_PAN: Buffer.from("31303030303030", "hex"), // "1000000" - Compra con envío PAN
-    ANULACION: Buffer.from("31303032303030", "hex"), // "100200" - Anulación
+    ANULACION: Buffer.from("31303032303030", "hex"), // "1002000" - Anulación
     CONSULTA_SALDO: Buffer.from("31303232202030", "hex"), // Consulta saldo
     AVANCE: Buffer.from("31303037202030", "hex"), // Avance efectivo
     CIERRE: Buffer.from("31303135202030", "hex"), // Cierre integrado
     COMPRA_CUPON: Buffer.from("31303235202030", "hex"), // Compra con cupón
-    RECARGA_BONO: Buffer.from("3130303620303030", "hex"), // Recarga bono
+    RECARGA_BONO: Buffer.from("31303036202030", "hex"), // "1006  0" - Recarga bono
+    CONSULTA_ULTIMA: Buffer.from("31303130202030", "hex"), // "1010  0" - Consulta última transacción
+  };
+
+  // Mensajes por tipo de transacción: header de presentación y campos en orden
+  // (nombres del diccionario TEFFields). Un tipo nuevo es una entrada más aquí.
+  static MESSAGES = {
+    purchase: {
+      label: "compra",
+      header: "COMPRA_CON_PAN",
+      fields: [
+        "amount",
+        "tax",
+        "terminalId",
+        "transactionId",
+        "tip",
+        "iac",
+        "cashierId",
+        "filler",
+      ],
+      required: ["amount", "transactionId"],
+    },
+    void: {
+      label: "anulación",
+      header: "ANULACION",
+      fields: ["terminalId", "receiptNumber", "transactionId", "cashierId"],
+      required: ["receiptNumber", "transactionId"],
+    },
+    cashAdvance: {
+      label: "avance",
+      header: "AVANCE",
+      fields: ["amount", "terminalId", "transactionId", "cashierId"],
+      required: ["amount", "transactionId"],
+    },
+    couponPurchase: {
+      label: "compra con cupón",
+      header: "COMPRA_CUPON",
+      fields: [
+        "amount",
+        "tax",
+        "terminalId",
+        "transactionId",
+        "cashierId",
+        "couponCode",
+      ],
+      required: ["amount", "couponCode", "transactionId"],
+    },
+    bondRecharge: {
+      label: "recarga de bono",
+      header: "RECARGA_BONO",
+      fields: [
+        "amount",
+        "terminalId",
+        "transactionId",
+        "cashierId",
+        "bondNumber",
+      ],
+      required: ["amount", "bondNumber", "transactionId"],
+    },
+    balance: {
+      label: "consulta de saldo",
+      header: "CONSULTA_SALDO",
+      fields: ["terminalId", "transactionId", "cashierId"],
+      required: ["transactionId"],
+    },
+    close: {
+      label: "cierre",
+      header: "CIERRE",
+      fields: ["terminalId", "transactionId", "cashierId"],
+      required: ["transactionId"],
+    },
+    lastTransaction: {
+      label: "consulta última transacción",
+      header: "CONSULTA_ULTIMA",
+      fields: ["terminalId", "cashierId"],
+      required: [],
+    },
   };
 
   /**
@@ -41,6 +119,19 @@ export class TEFProtocol {
     return Buffer.from(lengthStr, "hex");
   }
 
+  /**
+   * Decodifica el LENGTH BCD de 2 bytes de una trama recibida
+   * Ejemplo: Buffer 01 49 -> 149. Retorna null si algún nibble no es un dígito
+   */
+  static parseLength(lengthBytes) {
+    if (!lengthBytes || lengthBytes.length !== 2) return null;
+
+    const lengthStr = lengthBytes.toString("hex");
+    if (!/^[0-9]{4}$/.test(lengthStr)) return null;
+
+    return parseInt(lengthStr, 10);
+  }
+
   /**
    * Calcula LRC (Longitudinal Redundancy Check)
    * XOR de todos los bytes después de STX hasta ETX inclusive
@@ -56,37 +147,17 @@ export class TEFProtocol {
   /**
    * Construye trama de handshake inicial (mensaje corto solo con headers)
    * Debe enviarse ANTES de la trama de compra
+   * Es igual para todas las transacciones: sendPan solo cambia el header de la
+   * trama de compra (buildPurchaseFrame)
    */
-  static buildHandshakeFrame(sendPan = true) {
+  static buildHandshakeFrame() {
     // Para handshake siempre se usa el header con espacios "1000  0"
-    const presentationHeader = TEFProtocol.HEADERS.HANDSHAKE;
-
-    // Construir mensaje SIN ETX para calcular longitud
-    const messageBody = Buffer.concat([
-      TEFProtocol.TRANSPORT_HEADER,
-      presentationHeader,
-    ]);
-
-    // Calcular longitud (Transport + Presentation, SIN ETX)
-    const length = TEFProtocol.buildLength(messageBody.length);
-
-    // Ahora agregar ETX
-    const message = Buffer.concat([messageBody, TEFProtocol.ETX]);
-
-    // Calcular LRC (sobre LENGTH + MESSAGE completo con ETX)
-    const messageWithLength = Buffer.concat([length, message]);
-    const lrc = TEFProtocol.calculateLRC(messageWithLength);
-
-    // Trama completa: STX + LENGTH + MESSAGE + LRC
-    const completeFrame = Buffer.concat([
-      TEFProtocol.STX,
-      length,
-      message,
-      lrc,
-    ]);
-
-    logHex(completeFrame, "Trama handshake construida");
-    return completeFrame;
+    // Mensaje corto: solo Transport + Presentation, sin campos
+    return TEFProtocol.buildFrame(
+      TEFProtocol.HEADERS.HANDSHAKE,
+      [],
+      "Trama handshake construida",
+    );
   }
 
   /**
@@ -126,66 +197,116 @@ export class TEFProtocol {
   }
 
   /**
-   * Construye trama completa para compra
+   * Construye la trama de un tipo de transacción a partir de MESSAGES
+   * Cada campo se codifica según su definición en TEFFields (longitud, relleno, tipo)
    */
-  static buildPurchaseFrame(transactionData) {
-    const {
-      amount, // Monto en centavos (ej: 100000 = $1,000.00)
-      tax = 0, // IVA en centavos
-      cashierId = cashierId ?? "001", // ID cajero (12 caracteres)
-      terminalId = terminalId ?? "001", // Número de caja (10 caracteres)
-      transactionId, // ID transacción única (10 caracteres)
-      tip = 0, // Propina en centavos
-      iac = 0, // Valor IAC
-      sendPan = true, // Solicitar envío de PAN
-    } = transactionData;
-
-    // Validaciones
-    if (!amount || !transactionId) {
-      throw new Error("Monto y transactionId son requeridos");
+  static buildMessageFrame(type, transactionData, headerName) {
+    const message = TEFProtocol.MESSAGES[type];
+    if (!message) {
+      throw new Error(`Tipo de transacción desconocido: ${type}`);
     }
 
-    // Formatear valores a longitud fija
-    const amountStr = String(amount).padStart(12, "0");
-    const taxStr = String(tax).padStart(12, "0");
-    const tipStr = String(tip).padStart(12, "0");
-    const iacStr = String(iac).padStart(12, "0");
-    const cashierStr = cashierId.padEnd(12, " ").substring(0, 12);
-    const terminalStr = terminalId.padEnd(10, " ").substring(0, 10);
-    const transactionStr = transactionId.padEnd(10, " ").substring(0, 10);
+    const missing = message.required.filter(
+      (name) => (transactionData[name] ?? "") === "",
+    );
+    if (missing.length > 0) {
+      throw new Error(`Campos requeridos: ${missing.join(", ")}`);
+    }
 
-    // Seleccionar header según configuración (para compra se usa "1000000" sin espacios)
-    const presentationHeader = sendPan
-      ? TEFProtocol.HEADERS.COMPRA_CON_PAN
-      : TEFProtocol.HEADERS.COMPRA;
+    const fields = message.fields.map((name) => {
+      const field = TEFFields.get(name);
+      const value = TEFFields.encode(
+        field,
+        transactionData[name] ?? field.default,
+      );
+      return TEFProtocol.buildField(field.code, value, field.length);
+    });
+
+    return TEFProtocol.buildFrame(
+      TEFProtocol.HEADERS[headerName || message.header],
+      fields,
+      `Trama ${message.label} construida`,
+    );
+  }
 
-    // Construir campos en el orden correcto
-    const fields = [
-      // Campo 40: Valor total compra (12 caracteres)
-      TEFProtocol.buildField(40, amountStr, 12),
+  /**
+   * Construye trama completa para compra
+   * sendPan: header COMPRA_CON_PAN (por defecto) o COMPRA
+   */
+  static buildPurchaseFrame(transactionData) {
+    return TEFProtocol.buildMessageFrame(
+      "purchase",
+      transactionData,
+      transactionData.sendPan === false ? "COMPRA" : "COMPRA_CON_PAN",
+    );
+  }
 
-      // Campo 41: Valor IVA (12 caracteres)
-      TEFProtocol.buildField(41, taxStr, 12),
+  /**
+   * Construye trama de anulación de una compra previa
+   * Identifica la transacción original por su número de recibo (campo 43)
+   */
+  static buildVoidFrame(transactionData) {
+    return TEFProtocol.buildMessageFrame("void", transactionData);
+  }
 
-      // Campo 42: Número de caja (10 caracteres)
-      TEFProtocol.buildField(42, terminalStr, 10),
+  /**
+   * Construye trama de avance en efectivo
+   * Header AVANCE; misma secuencia que la compra, sin IVA ni propina
+   */
+  static buildCashAdvanceFrame(transactionData) {
+    return TEFProtocol.buildMessageFrame("cashAdvance", transactionData);
+  }
 
-      // Campo 53: Número de transacción (10 caracteres)
-      TEFProtocol.buildField(53, transactionStr, 10),
+  /**
+   * Construye trama de compra con cupón
+   * Header COMPRA_CUPON; como la compra, más el código del cupón (campo 85)
+   */
+  static buildCouponPurchaseFrame(transactionData) {
+    return TEFProtocol.buildMessageFrame("couponPurchase", transactionData);
+  }
 
-      // Campo 81: Propina o Cash Back (12 caracteres)
-      TEFProtocol.buildField(81, tipStr, 12),
+  /**
+   * Construye trama de recarga de bono
+   * Header RECARGA_BONO; monto a recargar y número del bono (campo 86)
+   */
+  static buildBondRechargeFrame(transactionData) {
+    return TEFProtocol.buildMessageFrame("bondRecharge", transactionData);
+  }
 
-      // Campo 82: Valor IAC (12 caracteres)
-      TEFProtocol.buildField(82, iacStr, 12),
+  /**
+   * Construye trama de consulta de saldo
+   * Header CONSULTA_SALDO; el datáfono pide la tarjeta y el PIN al cliente
+   */
+  static buildBalanceInquiryFrame(transactionData) {
+    return TEFProtocol.buildMessageFrame("balance", transactionData);
+  }
 
-      // Campo 83: Identificación del cajero (12 caracteres)
-      TEFProtocol.buildField(83, cashierStr, 12),
+  /**
+   * Construye trama de cierre integrado
+   * El datáfono liquida el lote del día y responde con los totales por franquicia
+   */
+  static buildCloseFrame(transactionData) {
+    return TEFProtocol.buildMessageFrame("close", transactionData);
+  }
 
-      // Campo 84: Filler (12 caracteres, siempre 000000000000)
-      TEFProtocol.buildField(84, "000000000000", 12),
-    ];
+  /**
+   * Construye trama de consulta de la última transacción
+   * El datáfono responde con los campos de su última transacción procesada,
+   * incluido el número de transacción (campo 53) para saber si es la nuestra
+   */
+  static buildLastTransactionQueryFrame(transactionData = {}) {
+    return TEFProtocol.buildMessageFrame("lastTransaction", transactionData);
+  }
 
+  /**
+   * Ensambla una trama completa a partir del header de presentación y sus campos
+   * STX + LENGTH + TRANSPORT + PRESENTATION + (SEP + CAMPO)* + ETX + LRC
+   */
+  static buildFrame(
+    presentationHeader,
+    fields = [],
+    logPrefix = "Trama construida",
+  ) {
     // Construir mensaje sin STX
     let messageWithoutSTX = Buffer.concat([
       TEFProtocol.TRANSPORT_HEADER,
@@ -219,94 +340,203 @@ export class TEFProtocol {
       lrc,
     ]);
 
-    logHex(completeFrame, "Trama compra construida");
+    logHex(completeFrame, logPrefix);
     return completeFrame;
   }
 
+  // Errores de parseo: la respuesta no se pudo interpretar (resultado INDETERMINATE,
+  // distinto de un rechazo del datáfono)
+  static PARSE_ERRORS = {
+    EMPTY_FRAME: "EMPTY_FRAME", // Sin datos
+    INVALID_FRAME: "INVALID_FRAME", // Falta STX o LENGTH BCD inválido
+    LENGTH_MISMATCH: "LENGTH_MISMATCH", // LENGTH no coincide con la trama recibida
+    UNKNOWN_HEADER: "UNKNOWN_HEADER", // Transport o presentation header desconocido
+    INVALID_SEPARATOR: "INVALID_SEPARATOR", // Byte inesperado donde debía ir 0x1C
+    INVALID_FIELD_TYPE: "INVALID_FIELD_TYPE", // Tipo de campo no numérico
+    TRUNCATED_FIELD: "TRUNCATED_FIELD", // Campo que excede el LENGTH declarado
+    MISSING_RESPONSE_CODE: "MISSING_RESPONSE_CODE", // Respuesta de transacción sin campo 48
+  };
+
+  /**
+   * Nombre del presentation header (HANDSHAKE, COMPRA…) o null si es desconocido
+   */
+  static findHeaderName(presentationHeader) {
+    const entry = Object.entries(TEFProtocol.HEADERS).find(([, header]) =>
+      header.equals(presentationHeader),
+    );
+    return entry ? entry[0] : null;
+  }
+
   /**
    * Parsea respuesta del datáfono
+   * Verifica LENGTH, headers y que cada campo quepa en el mensaje declarado.
+   * Si la respuesta no se puede interpretar retorna status INDETERMINATE con
+   * errorCode de PARSE_ERRORS: el resultado de la transacción es desconocido.
+   * options.strict (por defecto true): rechazar transport/presentation headers desconocidos
    */
-  static parseResponse(responseBuffer) {
-    if (!responseBuffer || responseBuffer.length === 0) {
+  static parseResponse(responseBuffer, { strict = true } = {}) {
+    const { PARSE_ERRORS } = TEFProtocol;
+    const raw = responseBuffer?.toString("hex").toUpperCase() || "";
+
+    const indeterminate = (errorCode, detail, offset = null) => {
+      logger.error(`Respuesta ilegible (${errorCode}): ${detail}`);
       return {
         success: false,
-        status: "DECLINED",
-        message: "Pago rechazado",
+        status: "INDETERMINATE",
+        message: `Respuesta indeterminada del datáfono: ${detail}`,
+        errorCode,
+        parseError: { code: errorCode, message: detail, offset },
+        raw,
       };
+    };
+
+    if (!responseBuffer || responseBuffer.length === 0) {
+      return indeterminate(PARSE_ERRORS.EMPTY_FRAME, "Trama vacía");
+    }
+
+    if (responseBuffer[0] !== 0x02 || responseBuffer.length < 3) {
+      return indeterminate(PARSE_ERRORS.INVALID_FRAME, "STX no encontrado", 0);
+    }
+
+    const messageLength = TEFProtocol.parseLength(
+      responseBuffer.subarray(1, 3),
+    );
+    if (messageLength === null) {
+      return indeterminate(
+        PARSE_ERRORS.INVALID_FRAME,
+        "LENGTH BCD inválido",
+        1,
+      );
+    }
+
+    // STX + LENGTH(2) + MENSAJE + ETX + LRC
+    if (
+      responseBuffer.length !== messageLength + 5 ||
+      responseBuffer[3 + messageLength] !== 0x03
+    ) {
+      return indeterminate(
+        PARSE_ERRORS.LENGTH_MISMATCH,
+        `LENGTH declara ${messageLength} bytes de mensaje y la trama trae ${responseBuffer.length - 5}`,
+        1,
+      );
+    }
+
+    const message = responseBuffer.subarray(3, 3 + messageLength);
+    if (message.length < 17) {
+      return indeterminate(
+        PARSE_ERRORS.LENGTH_MISMATCH,
+        `Mensaje de ${message.length} bytes, menor que los headers (17)`,
+        3,
+      );
+    }
+
+    const transportHeader = message.subarray(0, 10);
+    const headerName = TEFProtocol.findHeaderName(message.subarray(10, 17));
+
+    if (strict && !transportHeader.equals(TEFProtocol.TRANSPORT_HEADER)) {
+      return indeterminate(
+        PARSE_ERRORS.UNKNOWN_HEADER,
+        `Transport header desconocido: ${transportHeader.toString("ascii")}`,
+        3,
+      );
+    }
+    if (strict && !headerName) {
+      return indeterminate(
+        PARSE_ERRORS.UNKNOWN_HEADER,
+        `Presentation header desconocido: ${message.subarray(10, 17).toString("hex").toUpperCase()}`,
+        13,
+      );
     }
 
     const result = {
-      raw: responseBuffer.toString("hex").toUpperCase(),
+      raw,
+      presentationHeader: headerName,
       fields: {},
       success: false,
       message: "",
     };
 
-    try {
-      // Buscar campos en la respuesta
-      let position = 0;
-
-      // Buscar separadores 0x1C
-      while (position < responseBuffer.length) {
-        if (responseBuffer[position] === 0x1c) {
-          position++;
-
-          // Leer tipo de campo (2 bytes)
-          if (position + 2 <= responseBuffer.length) {
-            const fieldType = responseBuffer.subarray(position, position + 2);
-            position += 2;
-
-            // Leer longitud (2 bytes)
-            if (position + 2 <= responseBuffer.length) {
-              const lengthBytes = responseBuffer.subarray(
-                position,
-                position + 2,
-              );
-              const length = parseInt(lengthBytes.toString("hex"), 16);
-              position += 2;
-
-              // Leer valor
-              if (position + length <= responseBuffer.length) {
-                const value = responseBuffer.subarray(
-                  position,
-                  position + length,
-                );
-                position += length;
-
-                // Mapear campo por tipo
-                const fieldTypeHex = fieldType.toString("hex").toUpperCase();
-                result.fields[fieldTypeHex] = {
-                  raw: value.toString("hex").toUpperCase(),
-                  ascii: value.toString("ascii").trim(),
-                  length,
-                };
-              }
-            }
-          }
-        } else {
-          position++;
-        }
+    // Campos: [0x1C][Tipo(2)][Longitud(2)][Valor] hasta el final del mensaje
+    let position = 17;
+    while (position < message.length) {
+      const offset = position + 3; // Posición en la trama completa
+
+      if (message[position] !== 0x1c) {
+        return indeterminate(
+          PARSE_ERRORS.INVALID_SEPARATOR,
+          `Byte 0x${message[position].toString(16).padStart(2, "0")} donde se esperaba separador 0x1C`,
+          offset,
+        );
+      }
+
+      if (position + 5 > message.length) {
+        return indeterminate(
+          PARSE_ERRORS.TRUNCATED_FIELD,
+          "Campo sin tipo o longitud completos",
+          offset,
+        );
       }
 
-      logger.info(`Respuesta parseada: ${JSON.stringify(result.fields)}`);
-      return this.validateParsedTransaction(result);
-    } catch (error) {
-      logger.error(`Error parseando respuesta: ${error.message}`);
+      const fieldType = message.subarray(position + 1, position + 3);
+      const fieldCode = fieldType.toString("ascii");
+      if (!/^\d{2}$/.test(fieldCode)) {
+        return indeterminate(
+          PARSE_ERRORS.INVALID_FIELD_TYPE,
+          `Tipo de campo inválido: ${fieldType.toString("hex").toUpperCase()}`,
+          offset,
+        );
+      }
+
+      const length = message.readUInt16BE(position + 3);
+      const available = message.length - (position + 5);
+      if (length > available) {
+        return indeterminate(
+          PARSE_ERRORS.TRUNCATED_FIELD,
+          `Campo ${fieldCode} declara ${length} bytes y el mensaje solo tiene ${available}`,
+          offset,
+        );
+      }
+
+      // Decodificar según el diccionario de campos (clave = nombre)
+      const { name, value } = TEFFields.decode(
+        fieldCode,
+        message.subarray(position + 5, position + 5 + length),
+      );
+      result.fields[name] = value;
+      position += 5 + length;
+    }
+
+    logger.info(`Respuesta parseada: ${JSON.stringify(redact(result.fields))}`);
+
+    // La respuesta al handshake no trae código de respuesta
+    if (headerName === "HANDSHAKE") {
       return {
-        success: false,
-        status: "DECLINED",
-        message: "Pago rechazado",
+        success: true,
+        status: "HANDSHAKE",
+        message: "Handshake aceptado",
+        fields: result.fields,
       };
     }
+
+    // Sin campo 48 no se sabe si el datáfono aprobó: no es un rechazo
+    if (result.fields.responseCode === undefined) {
+      return indeterminate(
+        PARSE_ERRORS.MISSING_RESPONSE_CODE,
+        "La respuesta no trae código de respuesta (campo 48)",
+      );
+    }
+
+    return this.validateParsedTransaction(result);
   }
 
   /**
    * Valida resultado parseado según regla estricta de aprobación
-   * Aprobada SOLO si existe campo 3438 y su valor ASCII es "00"
+   * Aprobada SOLO si existe el campo 48 (responseCode) y su valor es "00"
    */
   static validateParsedTransaction(result) {
-    const responseCode = result?.fields?.["3438"]?.ascii;
+    const responseCode = result?.fields?.responseCode;
     const isApproved = responseCode === "00";
+    const transactionData = TEFProtocol.extractTransactionData(result);
 
     if (!isApproved) {
       const declined = {
@@ -317,6 +547,9 @@ export class TEFProtocol {
 
       if (responseCode !== undefined) {
         declined.errorCode = responseCode;
+        // Los rechazos del datáfono también traen recibo, fecha, franquicia…
+        declined.transactionData = transactionData;
+        declined.fields = result.fields;
       }
 
       return declined;
@@ -326,17 +559,67 @@ export class TEFProtocol {
       success: true,
       status: "APPROVED",
       message: "Transacción aprobada",
-      transactionData: {
-        amount: result?.fields?.["3430"]?.ascii || "",
-        authorizationCode: result?.fields?.["3435"]?.ascii || "",
-        date: result?.fields?.["3436"]?.ascii || "",
-        time: result?.fields?.["3437"]?.ascii || "",
-        franchise: result?.fields?.["3439"]?.ascii || "",
-        receiptNumber: result?.fields?.["3433"]?.ascii || "",
-        accountType: result?.fields?.["3530"]?.ascii || "",
-        last4: result?.fields?.["3534"]?.ascii || "",
-        quotas: result?.fields?.["3531"]?.ascii || "",
-        responseCode,
+      transactionData,
+      fields: result.fields,
+    };
+  }
+
+  /**
+   * Extrae los campos de negocio de una respuesta parseada
+   * Valores ya tipados por TEFFields (montos en centavos, fecha/hora ISO)
+   */
+  static extractTransactionData(result) {
+    const fields = result?.fields || {};
+    return {
+      amount: fields.amount,
+      authorizationCode: fields.authorizationCode,
+      date: fields.date,
+      time: fields.time,
+      franchise: fields.franchise,
+      receiptNumber: fields.receiptNumber,
+      accountType: fields.accountType,
+      last4: fields.last4,
+      quotas: fields.quotas,
+      responseCode: fields.responseCode,
+      // Campañas de fidelización (compra con cupón / recarga de bono)
+      couponCode: fields.couponCode,
+      bondNumber: fields.bondNumber,
+      discount: fields.discount,
+      bondBalance: fields.bondBalance,
+    };
+  }
+
+  /**
+   * Extrae los datos de una respuesta de consulta de saldo
+   * En la consulta el campo 40 trae el saldo disponible en lugar del monto
+   */
+  static extractBalanceData(result) {
+    const transactionData = TEFProtocol.extractTransactionData(result);
+    return {
+      balance: transactionData.amount,
+      accountType: transactionData.accountType,
+      franchise: transactionData.franchise,
+      last4: transactionData.last4,
+      date: transactionData.date,
+      time: transactionData.time,
+      responseCode: transactionData.responseCode,
+    };
+  }
+
+  /**
+   * Extrae los totales de liquidación de una respuesta de cierre
+   * Montos en centavos
+   */
+  static parseCloseTotals(result) {
+    const franchises = result?.fields?.franchiseTotals || [];
+    const voids = result?.fields?.voidTotals || { count: 0, amount: 0 };
+
+    return {
+      franchises,
+      voids,
+      total: {
+        count: franchises.reduce((sum, { count }) => sum + count, 0),
+        amount: franchises.reduce((sum, { amount }) => sum + amount, 0),
       },
     };
   }
@@ -401,9 +684,21 @@ export class TEFProtocol {
       return { valid: false, error: "STX no encontrado" };
     }
 
-    // Verificar ETX
-    const etxIndex = frame.indexOf(0x03);
-    if (etxIndex === -1) {
+    // Ubicar ETX a partir del LENGTH (0x03 puede aparecer en LENGTH o en los campos)
+    const messageLength = this.parseLength(frame.subarray(1, 3));
+    if (messageLength === null) {
+      return { valid: false, error: "LENGTH BCD inválido" };
+    }
+
+    const etxIndex = 3 + messageLength;
+    if (frame.length !== etxIndex + 2) {
+      return {
+        valid: false,
+        error: `Longitud de trama inválida. Esperada: ${etxIndex + 2}, Recibida: ${frame.length}`,
+      };
+    }
+
+    if (frame[etxIndex] !== 0x03) {
       return { valid: false, error: "ETX no encontrado" };
     }
 
@@ -0,0 +1,537 @@
+/**
+ * Simulador de datáfono TEF II para modo mock
+ * Implementa el lado del datáfono del protocolo: ACK/NACK de tramas,
+ * respuesta al handshake y tramas de respuesta con campos 40/43/45/46/47/48/49/50/54
+ * (cupón: 85/87, bono: 86/88, cierre: totales del lote en los campos 70/71)
+ */
+
+import { EventEmitter } from "events";
+import { logger, logHex } from "./logger.js";
+import { TEFProtocol } from "./TEFProtocol.js";
+import { FrameReader } from "./FrameReader.js";
+import { TEFFields } from "./TEFFields.js";
+
+export class TEFSimulator {
+  // Escenarios soportados
+  static SCENARIOS = [
+    "approve",
+    "decline",
+    "timeout",
+    "badLrc",
+    "nack",
+    "malformed",
+    "lateResponse",
+    "lostResponse",
+  ];
+
+  constructor(options = {}) {
+    this.defaultScenario = TEFSimulator.normalizeScenario(
+      options.scenario || "approve",
+    );
+    this.responseDelay = options.responseDelay ?? 1000;
+    this.ackDelay = options.ackDelay ?? 20;
+    this.balance = options.balance ?? "000000850000";
+
+    // Cola de escenarios para las próximas transacciones (FIFO)
+    this.scenarioQueue = [];
+
+    this.lastSentFrame = null;
+    this.nacksPending = 0;
+    this.scenarioAfterNack = null;
+    this.receiptCounter = 1;
+    this.approvedByReceipt = new Map();
+    this.bondBalances = new Map();
+    this.franchise = "VISA";
+
+    // Última transacción procesada (para la consulta de última transacción)
+    this.lastTransaction = null;
+
+    // Lote abierto desde el último cierre
+    this.batch = { sales: [], voids: [] };
+    this.timers = new Set();
+    this.sendToHost = () => {};
+
+    // Mismo reensamblado de tramas que usa el host
+    this.reader = new FrameReader();
+    this.reader.on("frame", ({ frame }) => this.handleFrame(frame));
+    this.reader.on("invalid", ({ error }) => {
+      logger.warn(`[Simulador] Trama inválida (${error}), NACK`);
+      this.schedule(() => this.write(TEFProtocol.NACK), this.ackDelay);
+    });
+
+    // ACK del host: confirma nuestra última trama
+    this.reader.on("ack", () => {
+      this.lastSentFrame = null;
+    });
+
+    // EOT del host: abortar la transacción en curso sin responder
+    this.reader.on("eot", () => {
+      logger.info("[Simulador] EOT recibido, transacción abortada");
+      this.cancelTimers();
+      this.lastSentFrame = null;
+      this.nacksPending = 0;
+      this.scenarioAfterNack = null;
+    });
+
+    // NACK del host: retransmitir la última trama (siempre con LRC correcto)
+    this.reader.on("nack", () => {
+      if (!this.lastSentFrame) return;
+      logger.debug("[Simulador] NACK recibido, retransmitiendo respuesta");
+      const frame = this.lastSentFrame;
+      this.schedule(() => this.write(frame), this.ackDelay);
+    });
+  }
+
+  /**
+   * Normaliza un escenario: "approve" | { type: "decline", code: "51" } | …
+   */
+  static normalizeScenario(scenario) {
+    const normalized =
+      typeof scenario === "string" ? { type: scenario } : { ...scenario };
+
+    if (!TEFSimulator.SCENARIOS.includes(normalized.type)) {
+      throw new Error(`Escenario de simulador desconocido: ${normalized.type}`);
+    }
+
+    if (normalized.type === "decline" && !normalized.code) {
+      normalized.code = "51";
+    }
+    if (normalized.type === "nack" && !normalized.times) {
+      normalized.times = 1;
+    }
+    // Por defecto después del timeout de transacción del host (120 s)
+    if (normalized.type === "lateResponse" && !normalized.delay) {
+      normalized.delay = 150000;
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Encola un escenario para la próxima transacción (compra, anulación…)
+   */
+  queueScenario(scenario) {
+    this.scenarioQueue.push(TEFSimulator.normalizeScenario(scenario));
+  }
+
+  /**
+   * Cambia el escenario usado cuando la cola está vacía
+   */
+  setDefaultScenario(scenario) {
+    this.defaultScenario = TEFSimulator.normalizeScenario(scenario);
+  }
+
+  /**
+   * Estado del simulador
+   */
+  getStatus() {
+    return {
+      defaultScenario: this.defaultScenario,
+      queuedScenarios: [...this.scenarioQueue],
+      responseDelay: this.responseDelay,
+    };
+  }
+
+  /**
+   * Conecta el simulador con el puerto virtual que entrega los bytes al host
+   */
+  attach(sendToHost) {
+    this.sendToHost = sendToHost;
+  }
+
+  /**
+   * Libera timers pendientes (al cerrar el puerto virtual)
+   */
+  detach() {
+    this.cancelTimers();
+    this.reader.reset("Puerto virtual cerrado");
+    this.sendToHost = () => {};
+  }
+
+  /**
+   * Recibe bytes escritos por el host
+   */
+  receive(data) {
+    this.reader.push(data);
+  }
+
+  /**
+   * Procesa una trama completa del host
+   */
+  handleFrame(frame) {
+    logHex(frame, "[Simulador] Trama recibida");
+
+    const message = frame.subarray(3, frame.length - 2);
+    const presentationHeader = message.subarray(10, 17);
+
+    // Handshake: ACK + trama corta de respuesta (inicia una transacción nueva)
+    if (presentationHeader.equals(TEFProtocol.HEADERS.HANDSHAKE)) {
+      this.nacksPending = 0;
+      this.scenarioAfterNack = null;
+      this.schedule(() => this.write(TEFProtocol.ACK), this.ackDelay);
+      this.schedule(
+        () => this.sendResponse(TEFProtocol.buildFrame(presentationHeader)),
+        this.ackDelay * 2,
+      );
+      return;
+    }
+
+    // Consulta de última transacción: no consume escenario
+    if (presentationHeader.equals(TEFProtocol.HEADERS.CONSULTA_ULTIMA)) {
+      this.schedule(() => this.write(TEFProtocol.ACK), this.ackDelay);
+      this.schedule(
+        () =>
+          this.sendResponse(
+            this.buildLastTransactionResponse(presentationHeader),
+          ),
+        this.ackDelay * 2,
+      );
+      return;
+    }
+
+    // Escenario NACK: rechazar la trama N veces antes de aceptarla
+    if (this.nacksPending > 0) {
+      this.nacksPending--;
+      this.schedule(() => this.write(TEFProtocol.NACK), this.ackDelay);
+      return;
+    }
+
+    const scenario =
+      this.scenarioAfterNack ||
+      this.scenarioQueue.shift() ||
+      this.defaultScenario;
+    this.scenarioAfterNack = null;
+    logger.info(`[Simulador] Escenario: ${JSON.stringify(scenario)}`);
+
+    if (scenario.type === "nack") {
+      this.nacksPending = scenario.times - 1;
+      this.scenarioAfterNack = { type: "approve" };
+      this.schedule(() => this.write(TEFProtocol.NACK), this.ackDelay);
+      return;
+    }
+
+    this.schedule(() => this.write(TEFProtocol.ACK), this.ackDelay);
+
+    if (scenario.type === "timeout") {
+      // El datáfono acepta la trama pero nunca responde
+      return;
+    }
+
+    const request = TEFSimulator.parseFields(message);
+    const response = presentationHeader.equals(TEFProtocol.HEADERS.CIERRE)
+      ? this.buildCloseResponse(presentationHeader, scenario)
+      : this.buildTransactionResponse(presentationHeader, request, scenario);
+
+    if (!presentationHeader.equals(TEFProtocol.HEADERS.CIERRE)) {
+      this.lastTransaction = { transactionId: request["53"], response };
+    }
+
+    if (scenario.type === "lostResponse") {
+      // El datáfono procesó la transacción pero la respuesta nunca llega al host
+      return;
+    }
+
+    this.schedule(() => {
+      if (scenario.type === "malformed") {
+        this.sendResponse(TEFSimulator.truncateFirstField(response));
+        return;
+      }
+      if (scenario.type === "badLrc") {
+        // Enviar la trama con LRC corrupto; si el host hace NACK se retransmite la correcta
+        const corrupted = Buffer.from(response);
+        corrupted[corrupted.length - 1] ^= 0xff;
+        this.lastSentFrame = response;
+        this.write(corrupted);
+        return;
+      }
+      this.sendResponse(response);
+    }, scenario.delay ?? this.responseDelay);
+  }
+
+  /**
+   * Construye la trama de respuesta de una transacción
+   */
+  buildTransactionResponse(presentationHeader, request, scenario) {
+    const approved = scenario.type !== "decline";
+    const responseCode = approved ? "00" : scenario.code;
+    const now = new Date();
+    const pad = (value) => String(value).padStart(2, "0");
+
+    const receiptNumber = String(this.receiptCounter++).padStart(6, "0");
+
+    // En una anulación el monto se toma de la compra original;
+    // en una consulta de saldo el campo 40 es el saldo disponible
+    const originalReceipt = request["43"];
+    const balanceInquiry = presentationHeader.equals(
+      TEFProtocol.HEADERS.CONSULTA_SALDO,
+    );
+    const amount =
+      request["40"] ||
+      (balanceInquiry ? this.balance : null) ||
+      this.approvedByReceipt.get(originalReceipt) ||
+      "000000000000";
+
+    if (approved && presentationHeader.equals(TEFProtocol.HEADERS.ANULACION)) {
+      this.batch.voids.push(Number(amount));
+    } else if (approved && request["40"]) {
+      this.approvedByReceipt.set(receiptNumber, amount);
+      this.batch.sales.push({
+        franchise: this.franchise,
+        amount: Number(amount),
+      });
+    }
+
+    const authorizationCode = approved
+      ? String(Math.floor(Math.random() * 1000000)).padStart(6, "0")
+      : "";
+
+    const fields = [
+      TEFProtocol.buildField(40, amount, 12),
+      TEFProtocol.buildField(43, receiptNumber, 6),
+      TEFProtocol.buildField(45, authorizationCode, 6),
+      TEFProtocol.buildField(
+        46,
+        `${now.getFullYear()}${pad(now.getMonth() + 1)}${pad(now.getDate())}`,
+        8,
+      ),
+      TEFProtocol.buildField(
+        47,
+        `${pad(now.getHours())}${pad(now.getMinutes())}`,
+        4,
+      ),
+      TEFProtocol.buildField(48, responseCode, 2),
+      TEFProtocol.buildField(49, this.franchise, 10),
+      TEFProtocol.buildField(50, "CR", 2),
+      TEFProtocol.buildField(51, "01", 2),
+      TEFProtocol.buildField(54, "4321", 4),
+    ];
+
+    // Cupón: 10% de descuento sobre el monto
+    if (request["85"]) {
+      const discount = approved ? Math.floor(Number(amount) / 10) : 0;
+      fields.push(
+        TEFProtocol.buildField(85, request["85"], 20),
+        TEFProtocol.buildField(87, String(discount).padStart(12, "0"), 12),
+      );
+    }
+
+    // Bono: saldo acumulado después de la recarga
+    if (request["86"]) {
+      const bondNumber = request["86"].trim();
+      const balance =
+        (this.bondBalances.get(bondNumber) || 0) +
+        (approved ? Number(amount) : 0);
+      this.bondBalances.set(bondNumber, balance);
+      fields.push(
+        TEFProtocol.buildField(86, request["86"], 20),
+        TEFProtocol.buildField(88, String(balance).padStart(12, "0"), 12),
+      );
+    }
+
+    return TEFProtocol.buildFrame(
+      presentationHeader,
+      fields,
+      "[Simulador] Respuesta construida",
+    );
+  }
+
+  /**
+   * Construye la respuesta del cierre con los totales del lote y lo reinicia
+   */
+  buildCloseResponse(presentationHeader, scenario) {
+    const approved = scenario.type !== "decline";
+    const now = new Date();
+    const pad = (value) => String(value).padStart(2, "0");
+
+    const byFranchise = new Map();
+    for (const { franchise, amount } of this.batch.sales) {
+      const current = byFranchise.get(franchise) || { count: 0, amount: 0 };
+      byFranchise.set(franchise, {
+        count: current.count + 1,
+        amount: current.amount + amount,
+      });
+    }
+
+    // Mismo formato de registros que decodifica el host (TEFFields)
+    const franchisesValue = TEFFields.TYPES.franchiseTotals.encode(
+      [...byFranchise].map(([franchise, total]) => ({ franchise, ...total })),
+    );
+    const voidsValue = TEFFields.TYPES.total.encode({
+      count: this.batch.voids.length,
+      amount: this.batch.voids.reduce((sum, amount) => sum + amount, 0),
+    });
+
+    if (approved) {
+      this.batch = { sales: [], voids: [] };
+    }
+
+    const fields = [
+      TEFProtocol.buildField(
+        46,
+        `${now.getFullYear()}${pad(now.getMonth() + 1)}${pad(now.getDate())}`,
+        8,
+      ),
+      TEFProtocol.buildField(
+        47,
+        `${pad(now.getHours())}${pad(now.getMinutes())}`,
+        4,
+      ),
+      TEFProtocol.buildField(48, approved ? "00" : scenario.code, 2),
+      TEFProtocol.buildField(70, franchisesValue),
+      TEFProtocol.buildField(71, voidsValue),
+    ];
+
+    return TEFProtocol.buildFrame(
+      presentationHeader,
+      fields,
+      "[Simulador] Respuesta de cierre construida",
+    );
+  }
+
+  /**
+   * Respuesta a la consulta de última transacción: los campos de la última
+   * respuesta procesada más su número de transacción (campo 53).
+   * Sin transacciones previas responde solo el código 00, sin campo 53
+   */
+  buildLastTransactionResponse(presentationHeader) {
+    const fields = [];
+
+    if (this.lastTransaction) {
+      const { response, transactionId } = this.lastTransaction;
+      const message = response.subarray(3, response.length - 2);
+      for (const [type, value] of Object.entries(
+        TEFSimulator.parseFields(message),
+      )) {
+        fields.push(TEFProtocol.buildField(Number(type), value));
+      }
+      fields.push(TEFProtocol.buildField(53, transactionId || "", 10));
+    } else {
+      fields.push(TEFProtocol.buildField(48, "00", 2));
+    }
+
+    return TEFProtocol.buildFrame(
+      presentationHeader,
+      fields,
+      "[Simulador] Respuesta de consulta construida",
+    );
+  }
+
+  /**
+   * Trama con LRC válido cuyo primer campo declara más bytes de los que trae
+   * el mensaje (el host debe reportar TRUNCATED_FIELD, no un rechazo)
+   */
+  static truncateFirstField(frame) {
+    const malformed = Buffer.from(frame);
+    // STX(1) + LENGTH(2) + encabezados(17) + separador(1) + tipo(2)
+    const lengthOffset = 1 + 2 + 17 + 1 + 2;
+    const etxIndex = malformed.length - 2;
+
+    malformed.writeUInt16BE(0x0fff, lengthOffset);
+    malformed[malformed.length - 1] = TEFProtocol.calculateLRC(
+      malformed.subarray(1, etxIndex + 1),
+    )[0];
+    return malformed;
+  }
+
+  /**
+   * Extrae los campos [Tipo(2)][Longitud(2)][Valor] de un mensaje (sin STX/LENGTH/ETX/LRC)
+   */
+  static parseFields(message) {
+    const fields = {};
+    let position = 17; // Transport (10) + Presentation (7)
+
+    while (position < message.length && message[position] === 0x1c) {
+      const type = message
+        .subarray(position + 1, position + 3)
+        .toString("ascii");
+      const length = message.readUInt16BE(position + 3);
+      const value = message.subarray(position + 5, position + 5 + length);
+      fields[type] = value.toString("ascii");
+      position += 5 + length;
+    }
+
+    return fields;
+  }
+
+  /**
+   * Envía una trama de respuesta recordándola para posibles retransmisiones
+   */
+  sendResponse(frame) {
+    this.lastSentFrame = frame;
+    this.write(frame);
+  }
+
+  write(data) {
+    logHex(data, "[Simulador] Enviando");
+    this.sendToHost(Buffer.from(data));
+  }
+
+  cancelTimers() {
+    for (const timer of this.timers) {
+      clearTimeout(timer);
+    }
+    this.timers.clear();
+  }
+
+  schedule(callback, delay) {
+    const timer = setTimeout(() => {
+      this.timers.delete(timer);
+      callback();
+    }, delay);
+    this.timers.add(timer);
+  }
+}
+
+/**
+ * Puerto serial virtual conectado al simulador
+ * Expone el mismo API de SerialPort que usa SerialManager (open/write/drain/close/eventos)
+ */
+export class VirtualSerialPort extends EventEmitter {
+  constructor({ path, simulator }) {
+    super();
+    this.path = path;
+    this.simulator = simulator;
+    this.isOpen = false;
+  }
+
+  open(callback) {
+    setImmediate(() => {
+      this.isOpen = true;
+      this.simulator.attach((data) => {
+        if (this.isOpen) this.emit("data", data);
+      });
+      callback?.(null);
+    });
+  }
+
+  write(data, callback) {
+    if (!this.isOpen) {
+      setImmediate(() => callback?.(new Error("Port is not open")));
+      return false;
+    }
+
+    const buffer = Buffer.from(data);
+    setImmediate(() => {
+      callback?.(null);
+      this.simulator.receive(buffer);
+    });
+    return true;
+  }
+
+  drain(callback) {
+    setImmediate(() => callback?.(null));
+  }
+
+  close(callback) {
+    setImmediate(() => {
+      if (!this.isOpen) {
+        callback?.(new Error("Port is not open"));
+        return;
+      }
+      this.isOpen = false;
+      this.simulator.detach();
+      callback?.(null);
+      this.emit("close");
+    });
+  }
+}
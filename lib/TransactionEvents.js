@@ -0,0 +1,105 @@
+/**
+ * Eventos de progreso de transacciones
+ * Publica las etapas de cada transacción (handshake, esperando tarjeta, resultado…)
+ * para los clientes suscritos por SSE. Guarda el historial de cada transacción
+ * para que un cliente que se conecta tarde reciba las etapas ya ocurridas.
+ * Los listeners van en un Map por transactionId y no en un EventEmitter: el ID
+ * lo elige el kiosko y no debe chocar con eventos especiales como "error".
+ */
+
+import { logger } from "./logger.js";
+
+export class TransactionEvents {
+  // Etapas publicadas, en orden
+  static STAGES = [
+    "requested",
+    "handshake-sent",
+    "handshake-ack",
+    "transaction-sent",
+    "waiting-for-card",
+    "response-received",
+    "result",
+  ];
+
+  constructor(options = {}) {
+    // Tiempo que se conserva el historial después del resultado final
+    this.retention = options.retention ?? 10 * 60 * 1000;
+    this.history = new Map();
+    this.expirations = new Map();
+    this.listeners = new Map();
+  }
+
+  /**
+   * Publica una etapa de una transacción
+   * "requested" inicia un intento nuevo: el reintento de una compra FAILED con el
+   * mismo transactionId no debe reenviar las etapas (ni el result) del anterior
+   */
+  publish(transactionId, stage, data = {}) {
+    if (stage === "requested") {
+      clearTimeout(this.expirations.get(transactionId));
+      this.expirations.delete(transactionId);
+      this.history.delete(transactionId);
+    }
+
+    const events = this.history.get(transactionId) || [];
+    const event = {
+      id: events.length + 1,
+      transactionId,
+      stage,
+      timestamp: new Date().toISOString(),
+      data,
+    };
+
+    events.push(event);
+    this.history.set(transactionId, events);
+
+    // Un cliente SSE con error no debe interrumpir la transacción ni a los demás
+    for (const listener of this.listeners.get(transactionId) || []) {
+      try {
+        listener(event);
+      } catch (error) {
+        logger.error(
+          `Error entregando la etapa ${stage} de ${transactionId}: ${error.message}`,
+        );
+      }
+    }
+
+    if (stage === "result") {
+      const timer = setTimeout(() => {
+        this.history.delete(transactionId);
+        this.expirations.delete(transactionId);
+      }, this.retention);
+      timer.unref();
+      this.expirations.set(transactionId, timer);
+    }
+
+    return event;
+  }
+
+  /**
+   * Etapas ya publicadas de una transacción
+   */
+  getHistory(transactionId) {
+    return this.history.get(transactionId) || [];
+  }
+
+  /**
+   * Suscribe un listener a las etapas de una transacción
+   * Retorna la función para cancelar la suscripción
+   */
+  subscribe(transactionId, listener) {
+    const listeners = this.listeners.get(transactionId) || new Set();
+    listeners.add(listener);
+    this.listeners.set(transactionId, listeners);
+
+    return () => {
+      listeners.delete(listener);
+      if (
+        listeners.size === 0 &&
+        this.listeners.get(transactionId) === listeners
+      ) {
+        this.listeners.delete(transactionId);
+      }
+    };
+  }
+}
@@ -0,0 +1,320 @@
+/**
+ * Diario de transacciones (append-only, JSON-lines)
+ * Registra cada cambio de estado de una transacción en disco antes de continuar,
+ * para saber qué pasó con la tarjeta del cliente si el proceso muere a mitad de camino
+ */
+
+import fs from "fs";
+import { dirname } from "path";
+import { logger } from "./logger.js";
+
+export class TransactionJournal {
+  // Ciclo de vida de una transacción
+  static STATES = {
+    REQUESTED: "REQUESTED", // Petición recibida y validada
+    HANDSHAKE_SENT: "HANDSHAKE_SENT", // Handshake enviado al datáfono
+    TRANSACTION_SENT: "TRANSACTION_SENT", // Trama de compra/anulación enviada
+    RESPONSE_RECEIVED: "RESPONSE_RECEIVED", // Respuesta del datáfono recibida
+    APPROVED: "APPROVED",
+    DECLINED: "DECLINED",
+    FAILED: "FAILED", // Falló antes de enviar la transacción: no hubo cobro
+    UNKNOWN: "UNKNOWN", // Resultado indeterminado: requiere conciliación
+    CANCELLED: "CANCELLED", // Cancelada desde el kiosko (EOT al datáfono)
+  };
+
+  // Tipos que suman al lote como venta en el cierre
+  static SALE_TYPES = [
+    "purchase",
+    "cashAdvance",
+    "couponPurchase",
+    "bondRecharge",
+  ];
+
+  // Estados en los que la transacción todavía no tiene resultado
+  static IN_FLIGHT_STATES = [
+    "REQUESTED",
+    "HANDSHAKE_SENT",
+    "TRANSACTION_SENT",
+    "RESPONSE_RECEIVED",
+  ];
+
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.transactions = new Map();
+    this.idempotencyIndex = new Map();
+    this.fd = null;
+  }
+
+  /**
+   * Carga el diario existente y reconstruye el último estado de cada transacción
+   */
+  load() {
+    fs.mkdirSync(dirname(this.filePath), { recursive: true });
+
+    if (fs.existsSync(this.filePath)) {
+      const lines = fs.readFileSync(this.filePath, "utf8").split("\n");
+
+      lines.forEach((line, index) => {
+        if (!line.trim()) return;
+        try {
+          this.apply(JSON.parse(line));
+        } catch (error) {
+          // Una línea truncada por un corte de energía no debe impedir el arranque
+          logger.warn(
+            `Diario: línea ${index + 1} ilegible, se ignora (${error.message})`,
+          );
+        }
+      });
+    }
+
+    this.fd = fs.openSync(this.filePath, "a");
+    logger.info(
+      `Diario de transacciones: ${this.transactions.size} transacciones en ${this.filePath}`,
+    );
+    return this;
+  }
+
+  /**
+   * Registra un cambio de estado (escritura síncrona + fsync)
+   */
+  record(transactionId, state, data = {}) {
+    const entry = {
+      timestamp: new Date().toISOString(),
+      transactionId,
+      state,
+      ...data,
+    };
+
+    fs.writeSync(this.fd, `${JSON.stringify(entry)}\n`);
+    fs.fsyncSync(this.fd);
+
+    return this.apply(entry);
+  }
+
+  /**
+   * Aplica una entrada al índice en memoria
+   */
+  apply(entry) {
+    const { timestamp, transactionId, state, ...data } = entry;
+    const current = this.transactions.get(transactionId) || {
+      transactionId,
+      createdAt: timestamp,
+      history: [],
+    };
+
+    const updated = {
+      ...current,
+      ...data,
+      state,
+      updatedAt: timestamp,
+      // Las anotaciones sin cambio de estado (comprobantes) no van al historial
+      history:
+        state === current.state
+          ? current.history
+          : [...current.history, { state, timestamp }],
+    };
+
+    this.transactions.set(transactionId, updated);
+    if (updated.idempotencyKey) {
+      this.idempotencyIndex.set(updated.idempotencyKey, transactionId);
+    }
+    return updated;
+  }
+
+  /**
+   * Registra la emisión de comprobantes sin cambiar el estado
+   * copies: ["customer", "merchant"]; la siguiente emisión de una copia es reimpresión
+   */
+  recordReceipt(transactionId, copies) {
+    const tx = this.get(transactionId);
+    const receipts = { ...tx.receipts };
+    for (const copy of copies) receipts[copy] = (receipts[copy] || 0) + 1;
+    return this.record(transactionId, tx.state, { receipts });
+  }
+
+  /**
+   * Obtiene el estado actual de una transacción
+   */
+  get(transactionId) {
+    return this.transactions.get(transactionId) || null;
+  }
+
+  /**
+   * Busca la transacción asociada a una clave de idempotencia
+   */
+  findByIdempotencyKey(idempotencyKey) {
+    const transactionId = this.idempotencyIndex.get(idempotencyKey);
+    return transactionId ? this.get(transactionId) : null;
+  }
+
+  /**
+   * Consulta el historial con filtros y paginación (más recientes primero)
+   * Filtros: from, to (Date), terminalId, terminalIds (cajas permitidas),
+   * cashierId, status, franchise, deviceId
+   */
+  query(filters = {}, { page = 1, pageSize = 50 } = {}) {
+    const {
+      from,
+      to,
+      terminalId,
+      terminalIds,
+      cashierId,
+      status,
+      franchise,
+      deviceId,
+    } = filters;
+
+    const matches = [...this.transactions.values()]
+      .filter((tx) => {
+        const createdAt = new Date(tx.createdAt);
+        if (from && createdAt < from) return false;
+        if (to && createdAt > to) return false;
+        if (terminalId && tx.terminalId !== terminalId) return false;
+        if (terminalIds?.length && !terminalIds.includes(tx.terminalId)) {
+          return false;
+        }
+        if (cashierId && tx.cashierId !== cashierId) return false;
+        if (deviceId && tx.deviceId !== deviceId) return false;
+        if (status && tx.state !== status) return false;
+        if (
+          franchise &&
+          tx.transactionData?.franchise?.toUpperCase() !==
+            franchise.toUpperCase()
+        ) {
+          return false;
+        }
+        return true;
+      })
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+    const start = (page - 1) * pageSize;
+    return {
+      total: matches.length,
+      items: matches.slice(start, start + pageSize),
+    };
+  }
+
+  /**
+   * Totales aprobados desde una fecha, agrupados como los reporta el cierre
+   * Ventas (compras y avances) por franquicia y anulaciones aparte (montos en centavos)
+   * deviceId: solo las del lote de ese datáfono
+   */
+  getApprovedTotals(from, deviceId) {
+    const franchises = new Map();
+    const voids = { count: 0, amount: 0 };
+
+    for (const tx of this.transactions.values()) {
+      if (tx.state !== TransactionJournal.STATES.APPROVED) continue;
+      if (new Date(tx.createdAt) < from) continue;
+      if (!TransactionJournal.belongsTo(tx, deviceId)) continue;
+
+      const amount = parseInt(tx.transactionData?.amount, 10) || 0;
+
+      if (tx.type === "void") {
+        voids.count++;
+        voids.amount += amount;
+      } else if (TransactionJournal.SALE_TYPES.includes(tx.type)) {
+        const franchise = (tx.transactionData?.franchise || "").toUpperCase();
+        const current = franchises.get(franchise) || {
+          franchise,
+          count: 0,
+          amount: 0,
+        };
+        current.count++;
+        current.amount += amount;
+        franchises.set(franchise, current);
+      }
+    }
+
+    return { franchises: [...franchises.values()], voids };
+  }
+
+  /**
+   * Último cierre aprobado (del datáfono deviceId, si se indica)
+   */
+  getLastClose(deviceId) {
+    return (
+      [...this.transactions.values()]
+        .filter(
+          (tx) =>
+            tx.type === "close" &&
+            tx.state === TransactionJournal.STATES.APPROVED &&
+            TransactionJournal.belongsTo(tx, deviceId),
+        )
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt))[0] || null
+    );
+  }
+
+  /**
+   * Si se puede reintentar con el mismo transactionId: el intento anterior no
+   * llegó al datáfono (FAILED, o cancelado sin conciliación pendiente)
+   */
+  static isRetryable(tx) {
+    const { FAILED, CANCELLED } = TransactionJournal.STATES;
+    return (
+      tx.state === FAILED || (tx.state === CANCELLED && !tx.needsReconciliation)
+    );
+  }
+
+  /**
+   * Si una transacción pertenece al lote de un datáfono
+   * Las registradas antes de config.devices (sin deviceId) cuentan para cualquiera
+   */
+  static belongsTo(tx, deviceId) {
+    return !deviceId || !tx.deviceId || tx.deviceId === deviceId;
+  }
+
+  /**
+   * Transacciones sin resultado final
+   */
+  getInFlight() {
+    return [...this.transactions.values()].filter((tx) =>
+      TransactionJournal.IN_FLIGHT_STATES.includes(tx.state),
+    );
+  }
+
+  /**
+   * Transacciones marcadas para conciliación o anulación
+   */
+  getPendingReconciliation() {
+    return [...this.transactions.values()].filter(
+      (tx) => tx.needsReconciliation,
+    );
+  }
+
+  /**
+   * Marca las transacciones que quedaron en vuelo tras una caída del proceso
+   * Las que nunca llegaron a enviar la trama se cierran como FAILED (sin cobro);
+   * el resto queda UNKNOWN para conciliar o anular
+   */
+  recoverInFlight() {
+    const interrupted = this.getInFlight();
+
+    return interrupted.map((tx) => {
+      const sent = tx.history.some(
+        ({ state }) => state === TransactionJournal.STATES.TRANSACTION_SENT,
+      );
+
+      if (!sent) {
+        return this.record(tx.transactionId, TransactionJournal.STATES.FAILED, {
+          reason: `Proceso interrumpido en estado ${tx.state}`,
+        });
+      }
+
+      return this.record(tx.transactionId, TransactionJournal.STATES.UNKNOWN, {
+        reason: `Proceso interrumpido en estado ${tx.state}`,
+        needsReconciliation: true,
+      });
+    });
+  }
+
+  /**
+   * Cierra el descriptor del archivo
+   */
+  close() {
+    if (this.fd !== null) {
+      fs.closeSync(this.fd);
+      this.fd = null;
+    }
+  }
+}
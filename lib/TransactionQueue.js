@@ -0,0 +1,114 @@
+/**
+ * Cola de acceso exclusivo al datáfono
+ * Un datáfono atiende una transacción a la vez: cada tarea (handshake + transacción)
+ * se ejecuta de forma atómica y las demás esperan su turno en orden de llegada
+ */
+
+import { logger } from "./logger.js";
+
+export class TransactionQueue {
+  constructor(options = {}) {
+    this.maxDepth = options.maxDepth ?? 5;
+    this.rejectWhenBusy = options.rejectWhenBusy ?? false;
+
+    this.active = null;
+    this.waiting = [];
+  }
+
+  /**
+   * Ejecuta una tarea con acceso exclusivo al datáfono
+   * info: datos descriptivos para /api/status ({ transactionId, type })
+   */
+  run(info, task) {
+    if (this.active) {
+      if (this.rejectWhenBusy) {
+        return Promise.reject(
+          TransactionQueue.busyError(
+            "DEVICE_BUSY",
+            `Datáfono ocupado con la transacción ${this.active.transactionId}`,
+          ),
+        );
+      }
+
+      if (this.waiting.length >= this.maxDepth) {
+        return Promise.reject(
+          TransactionQueue.busyError(
+            "QUEUE_FULL",
+            `Cola del datáfono llena (${this.maxDepth} en espera)`,
+          ),
+        );
+      }
+
+      logger.info(
+        `Datáfono ocupado, ${info.transactionId} en cola (posición ${this.waiting.length + 1})`,
+      );
+    }
+
+    return new Promise((resolve, reject) => {
+      this.waiting.push({
+        info,
+        task,
+        resolve,
+        reject,
+        enqueuedAt: new Date(),
+      });
+      this.next();
+    });
+  }
+
+  /**
+   * Inicia la siguiente tarea si el datáfono está libre
+   */
+  next() {
+    if (this.active || this.waiting.length === 0) return;
+
+    const job = this.waiting.shift();
+    this.active = { ...job.info, startedAt: new Date() };
+
+    Promise.resolve()
+      .then(job.task)
+      .then(job.resolve, job.reject)
+      .finally(() => {
+        this.active = null;
+        this.next();
+      });
+  }
+
+  /**
+   * Retira de la cola una tarea que aún no ha empezado
+   * Retorna true si la tarea estaba en espera
+   */
+  cancel(transactionId, error) {
+    const index = this.waiting.findIndex(
+      ({ info }) => info.transactionId === transactionId,
+    );
+    if (index === -1) return false;
+
+    const [job] = this.waiting.splice(index, 1);
+    job.reject(error);
+    return true;
+  }
+
+  /**
+   * Estado de la cola para /api/status
+   */
+  getStatus() {
+    return {
+      busy: Boolean(this.active),
+      active: this.active,
+      waiting: this.waiting.map(({ info, enqueuedAt }) => ({
+        ...info,
+        enqueuedAt,
+      })),
+      depth: this.waiting.length,
+      maxDepth: this.maxDepth,
+      rejectWhenBusy: this.rejectWhenBusy,
+    };
+  }
+
+  static busyError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  }
+}
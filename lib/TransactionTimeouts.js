@@ -0,0 +1,118 @@
+/**
+ * Plazos de una transacción por fase y por tipo
+ * Fases: ack (confirmación de cada trama), handshake (respuesta al handshake),
+ * card (el cliente pasa la tarjeta y digita el PIN) y authorization (el datáfono
+ * consulta al autorizador). El datáfono no avisa cuándo termina la fase card:
+ * card y authorization son dos ventanas seguidas de la misma espera de respuesta.
+ * tef.timeoutTransaction (o types.<tipo>.total) limita la suma de las fases.
+ */
+
+export class TransactionTimeouts {
+  static PHASES = ["ack", "handshake", "card", "authorization"];
+
+  static LABELS = {
+    ack: "confirmación (ACK) de la trama",
+    handshake: "respuesta al handshake",
+    card: "interacción con la tarjeta",
+    authorization: "autorización del host",
+  };
+
+  static DEFAULTS = {
+    handshake: 10000,
+    card: 60000,
+    authorization: 50000,
+    minRequest: 10000,
+  };
+
+  // Tipos sin cliente frente al datáfono
+  static TYPE_DEFAULTS = {
+    close: { card: 0, authorization: 110000 },
+    lastTransaction: { card: 0, authorization: 30000 },
+  };
+
+  /**
+   * Plazos configurados para un tipo de transacción
+   * tefConfig.timeouts: { ack, handshake, card, authorization, minRequest, types: { <tipo>: {...} } }
+   * requested: plazo total pedido por el kiosko (ms); solo puede acortar el configurado
+   * Lanza INVALID_TIMEOUT si requested está fuera de [minRequest, total]
+   */
+  static resolve(tefConfig = {}, type, requested) {
+    const { types = {}, ...base } = tefConfig.timeouts || {};
+    const plan = {
+      ack: tefConfig.ackTimeout ?? 2000,
+      ...TransactionTimeouts.DEFAULTS,
+      ...base,
+      ...TransactionTimeouts.TYPE_DEFAULTS[type],
+      ...types[type],
+    };
+    const limit = plan.total ?? tefConfig.timeoutTransaction ?? 120000;
+
+    if (
+      requested !== undefined &&
+      (requested < plan.minRequest || requested > limit)
+    ) {
+      const error = new Error(
+        `timeout debe estar entre ${plan.minRequest} y ${limit} ms para ${type}`,
+      );
+      error.code = "INVALID_TIMEOUT";
+      throw error;
+    }
+
+    return { ...plan, total: requested ?? limit };
+  }
+
+  /**
+   * Error de plazo vencido con la fase y el plazo que aplicaba
+   */
+  static timeoutError(phase, timeout) {
+    const error = new Error(
+      `Timeout esperando ${TransactionTimeouts.LABELS[phase]} (${timeout} ms)`,
+    );
+    error.code = "RESPONSE_TIMEOUT";
+    error.phase = phase;
+    error.timeout = timeout;
+    return error;
+  }
+
+  constructor(plan) {
+    this.plan = plan;
+    this.startedAt = null;
+  }
+
+  /**
+   * Inicia el reloj del plazo total (al tomar el datáfono, sin contar la cola)
+   */
+  start() {
+    this.startedAt = Date.now();
+    return this;
+  }
+
+  get remaining() {
+    return this.plan.total - (Date.now() - this.startedAt);
+  }
+
+  /**
+   * Plazo de la espera del handshake: { phase, timeout }
+   */
+  handshake() {
+    return this.window("handshake", this.plan.handshake);
+  }
+
+  /**
+   * Plazo de la espera de la respuesta final: ventanas card + authorization
+   * recortadas al plazo total. phase es la ventana en la que vence la espera.
+   */
+  response() {
+    const { card, authorization } = this.plan;
+    const { timeout } = this.window("card", card + authorization);
+    return { phase: timeout <= card ? "card" : "authorization", timeout };
+  }
+
+  window(phase, configured) {
+    const timeout = Math.min(configured, this.remaining);
+    if (timeout <= 0) {
+      throw TransactionTimeouts.timeoutError(phase, 0);
+    }
+    return { phase, timeout };
+  }
+}
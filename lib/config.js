@@ -0,0 +1,381 @@
+/**
+ * Configuración efectiva del servicio
+ * Se combina en este orden (cada capa sobrescribe a la anterior):
+ *   1. DEFAULT_CONFIG (este archivo)
+ *   2. config.json
+ *   3. .env (variables de ENV_VARIABLES)
+ *   4. variables de entorno reales del proceso
+ * Los parámetros seriales guardados con POST /api/connect (serial.settingsPath)
+ * los aplica DeviceRegistry sobre config.json, pero no sobre las capas 3 y 4.
+ * El resultado se valida con Joi; un valor inválido impide arrancar.
+ */
+
+import fs from "fs";
+import { join } from "path";
+import dotenv from "dotenv";
+import Joi from "joi";
+
+export const DEFAULT_CONFIG = {
+  server: {
+    port: 3000,
+    host: "localhost",
+    cors_origins: ["http://localhost"],
+  },
+  serial: {
+    port: "COM3",
+    baudRate: 9600,
+    dataBits: 8,
+    stopBits: 1,
+    parity: "none",
+    autoOpen: false,
+    interByteTimeout: 500,
+    settingsPath: "data/serial-settings.json",
+    vendorId: null,
+    productId: null,
+    reconnect: {
+      enabled: true,
+      initialDelay: 1000,
+      maxDelay: 30000,
+      factor: 2,
+    },
+    probe: { interval: 60000, timeout: 5000 },
+  },
+  tef: {
+    timeoutTransaction: 120000,
+    maxRetries: 3,
+    ackTimeout: 2000,
+    queue: { maxDepth: 5, rejectWhenBusy: false },
+    enablePanSending: true,
+    mockMode: false,
+    strictParsing: true,
+    unknownOutcome: { strategy: "query", pollTimeout: 30000, autoVoid: true },
+    mockPort: "/dev/tty.mock",
+    mockScenario: "approve",
+    mockResponseDelay: 1500,
+  },
+  devices: [],
+  auth: {
+    enabled: true,
+    keysPath: "api-keys.json",
+    maxClockSkew: 300,
+    reloadInterval: 2000,
+    streamTokenTtl: 600,
+  },
+  logging: {
+    level: "info",
+    redact: {},
+    trace: {
+      enabled: false,
+      dir: "logs/trace",
+      maxMinutes: 30,
+      retentionHours: 24,
+    },
+  },
+  journal: {
+    path: "data/transactions.jsonl",
+  },
+  receipts: {
+    width: 40,
+    merchant: {},
+    header: ["{name}", "NIT: {nit}", "{address}", "{city}", "TEL: {phone}"],
+    footer: {
+      customer: ["GRACIAS POR SU COMPRA"],
+      merchant: ["FIRMA: ____________________", "C.C.: ______________________"],
+    },
+  },
+  transactions: {},
+};
+
+/**
+ * Variables de entorno (o de .env) que sobrescriben config.json
+ * type: string | number | boolean | list (separada por comas)
+ */
+export const ENV_VARIABLES = {
+  HTTP_PORT: { path: "server.port", type: "number" },
+  HTTP_HOST: { path: "server.host", type: "string" },
+  ALLOWED_ORIGIN: { path: "server.cors_origins", type: "list" },
+  DATAFONO_PORT: { path: "serial.port", type: "string" },
+  DATAFONO_BAUD_RATE: { path: "serial.baudRate", type: "number" },
+  TRANSACTION_TIMEOUT: { path: "tef.timeoutTransaction", type: "number" },
+  MOCK_MODE: { path: "tef.mockMode", type: "boolean" },
+  LOG_LEVEL: { path: "logging.level", type: "string" },
+  AUTH_ENABLED: { path: "auth.enabled", type: "boolean" },
+  API_KEYS_PATH: { path: "auth.keysPath", type: "string" },
+  JOURNAL_PATH: { path: "journal.path", type: "string" },
+};
+
+// Claves cuyo valor no se muestra en GET /api/config
+const SECRET_KEY = /secret|password|token|credential/i;
+
+const milliseconds = Joi.number().integer().min(0);
+
+const serialSchema = Joi.object({
+  port: Joi.string().min(1),
+  baudRate: Joi.number().valid(
+    1200,
+    2400,
+    4800,
+    9600,
+    19200,
+    38400,
+    57600,
+    115200,
+  ),
+  dataBits: Joi.number().valid(5, 6, 7, 8),
+  stopBits: Joi.number().valid(1, 1.5, 2),
+  parity: Joi.string().valid("none", "even", "odd", "mark", "space"),
+  autoOpen: Joi.boolean(),
+  // Obsoleto: reemplazado por tef.timeouts; se acepta y descarta para que un
+  // config.json anterior siga arrancando
+  timeout: milliseconds.strip(),
+  interByteTimeout: milliseconds,
+  settingsPath: Joi.string().allow(null, ""),
+  vendorId: Joi.alternatives(Joi.string(), Joi.number()).allow(null),
+  productId: Joi.alternatives(Joi.string(), Joi.number()).allow(null),
+  reconnect: Joi.object({
+    enabled: Joi.boolean(),
+    initialDelay: milliseconds,
+    maxDelay: milliseconds,
+    factor: Joi.number().min(1),
+  }),
+  probe: Joi.object({
+    interval: milliseconds,
+    timeout: milliseconds,
+  }),
+});
+
+// Plazos por fase (ver TransactionTimeouts)
+const phaseTimeouts = {
+  ack: milliseconds.min(100),
+  handshake: milliseconds.min(1000),
+  card: milliseconds,
+  authorization: milliseconds,
+};
+
+const tefSchema = Joi.object({
+  timeoutTransaction: milliseconds.min(1000),
+  timeouts: Joi.object({
+    ...phaseTimeouts,
+    minRequest: milliseconds.min(1000),
+    types: Joi.object().pattern(
+      Joi.string().valid(
+        "purchase",
+        "void",
+        "cashAdvance",
+        "couponPurchase",
+        "bondRecharge",
+        "balance",
+        "close",
+        "lastTransaction",
+      ),
+      Joi.object({ ...phaseTimeouts, total: milliseconds.min(1000) }),
+    ),
+  }),
+  maxRetries: Joi.number().integer().min(0),
+  ackTimeout: milliseconds,
+  queue: Joi.object({
+    maxDepth: Joi.number().integer().min(0),
+    rejectWhenBusy: Joi.boolean(),
+  }),
+  enablePanSending: Joi.boolean(),
+  mockMode: Joi.boolean(),
+  strictParsing: Joi.boolean(),
+  unknownOutcome: Joi.object({
+    strategy: Joi.string().valid("query", "poll", "none"),
+    pollTimeout: milliseconds,
+    autoVoid: Joi.boolean(),
+  }),
+  mockPort: Joi.string(),
+  mockScenario: Joi.alternatives(Joi.string(), Joi.object().unknown()),
+  mockResponseDelay: milliseconds,
+});
+
+export const configSchema = Joi.object({
+  server: Joi.object({
+    port: Joi.number().port().required(),
+    host: Joi.string().required(),
+    cors_origins: Joi.array().items(Joi.string()),
+  }).required(),
+  serial: serialSchema.required(),
+  tef: tefSchema.required(),
+  devices: Joi.array().items(
+    Joi.object({
+      id: Joi.string().max(20).required(),
+      name: Joi.string(),
+      terminalIds: Joi.array().items(Joi.string().max(10)),
+      default: Joi.boolean(),
+      serial: serialSchema,
+      tef: tefSchema,
+    }),
+  ),
+  auth: Joi.object({
+    enabled: Joi.boolean(),
+    keysPath: Joi.string(),
+    maxClockSkew: Joi.number().integer().min(1),
+    reloadInterval: milliseconds.min(100),
+    streamTokenTtl: Joi.number().integer().min(1),
+  }),
+  logging: Joi.object({
+    level: Joi.string().valid(
+      "error",
+      "warn",
+      "info",
+      "http",
+      "verbose",
+      "debug",
+      "silly",
+    ),
+    redact: Joi.object().pattern(
+      Joi.string(),
+      Joi.string().valid("mask", "clear"),
+    ),
+    trace: Joi.object({
+      enabled: Joi.boolean(),
+      dir: Joi.string(),
+      maxMinutes: Joi.number().integer().min(1),
+      retentionHours: Joi.number().min(0),
+    }),
+  }),
+  journal: Joi.object({
+    path: Joi.string().required(),
+  }),
+  receipts: Joi.object({
+    width: Joi.number().valid(40, 48),
+    merchant: Joi.object().pattern(
+      Joi.string(),
+      Joi.alternatives(Joi.string().allow(""), Joi.number()),
+    ),
+    header: Joi.array().items(Joi.string().allow("")),
+    footer: Joi.object({
+      customer: Joi.array().items(Joi.string().allow("")),
+      merchant: Joi.array().items(Joi.string().allow("")),
+    }),
+  }),
+  transactions: Joi.object().unknown(),
+});
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * Combina objetos en profundidad; los arreglos y valores simples se reemplazan
+ */
+export function mergeConfig(base, override) {
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(override || {})) {
+    merged[key] =
+      isPlainObject(value) && isPlainObject(base[key])
+        ? mergeConfig(base[key], value)
+        : value;
+  }
+  return merged;
+}
+
+function setPath(target, path, value) {
+  const keys = path.split(".");
+  const last = keys.pop();
+  let node = target;
+  for (const key of keys) {
+    node[key] = isPlainObject(node[key]) ? { ...node[key] } : {};
+    node = node[key];
+  }
+  node[last] = value;
+}
+
+// Joi convierte números y booleanos al validar; aquí solo se separan las listas
+function parseVariable(raw, type) {
+  if (type === "list") {
+    return raw
+      .split(",")
+      .map((item) => item.trim())
+      .filter(Boolean);
+  }
+  return type === "string" ? raw : raw.trim();
+}
+
+function readEnvFile(envPath) {
+  if (!envPath || !fs.existsSync(envPath)) return {};
+  return dotenv.parse(fs.readFileSync(envPath));
+}
+
+function readConfigFile(configPath) {
+  if (!fs.existsSync(configPath)) return {};
+  try {
+    return JSON.parse(fs.readFileSync(configPath, "utf8"));
+  } catch (error) {
+    throw invalidConfig([`${configPath} no es JSON válido: ${error.message}`]);
+  }
+}
+
+function invalidConfig(problems) {
+  const error = new Error(
+    `Configuración inválida:\n  - ${problems.join("\n  - ")}`,
+  );
+  error.code = "INVALID_CONFIG";
+  error.problems = problems;
+  return error;
+}
+
+/**
+ * Carga y valida la configuración
+ * options: { rootDir, configPath, envPath, env } (env por defecto process.env)
+ * Las variables de .env que el proceso no tenga se copian a env, como dotenv.config()
+ * Retorna { config, sources } donde sources indica qué variable fijó cada ruta
+ * Lanza INVALID_CONFIG con todos los problemas encontrados
+ */
+export function loadConfig({
+  rootDir,
+  configPath = join(rootDir, "config.json"),
+  envPath = join(rootDir, ".env"),
+  env = process.env,
+} = {}) {
+  const fileEnv = readEnvFile(envPath);
+  const config = mergeConfig(DEFAULT_CONFIG, readConfigFile(configPath));
+  const sources = {};
+
+  for (const [variable, { path, type }] of Object.entries(ENV_VARIABLES)) {
+    const fromProcess = env[variable] !== undefined && env[variable] !== "";
+    const raw = fromProcess ? env[variable] : fileEnv[variable];
+    if (raw === undefined || raw === "") continue;
+
+    setPath(config, path, parseVariable(raw, type));
+    sources[path] = { variable, source: fromProcess ? "env" : ".env" };
+  }
+
+  for (const [variable, value] of Object.entries(fileEnv)) {
+    env[variable] ??= value;
+  }
+
+  const { error, value } = configSchema.validate(config, {
+    abortEarly: false,
+    convert: true,
+  });
+  if (error) {
+    throw invalidConfig(
+      error.details.map(({ message, path }) => {
+        const origin = sources[path.join(".")];
+        return origin
+          ? `${message} (${origin.variable} en ${origin.source === "env" ? "el entorno" : ".env"})`
+          : message;
+      }),
+    );
+  }
+
+  return { config: value, sources };
+}
+
+/**
+ * Copia de la configuración con los secretos ocultos (GET /api/config)
+ */
+export function maskSecrets(value) {
+  if (Array.isArray(value)) return value.map(maskSecrets);
+  if (!isPlainObject(value)) return value;
+
+  return Object.fromEntries(
+    Object.entries(value).map(([key, item]) => [
+      key,
+      SECRET_KEY.test(key) && item ? "****" : maskSecrets(item),
+    ]),
+  );
+}
@@ -2,6 +2,7 @@ import winston from "winston";
 import { fileURLToPath } from "url";
 import { dirname, join } from "path";
 import fs from "fs";
+import { TEFFields } from "./TEFFields.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -12,9 +13,171 @@ if (!fs.existsSync(logDir)) {
   fs.mkdirSync(logDir, { recursive: true });
 }
 
+/**
+ * Política de ocultamiento (PCI): "mask" reemplaza el valor por asteriscos,
+ * "clear" lo deja visible. Las claves son nombres de TEFFields; se aplica a los
+ * campos dentro de las tramas (HEX y ASCII) y a los objetos que se loguean.
+ * Lo que no está en "clear" se oculta: un campo desconocido (field99, track2…)
+ * puede llevar datos de tarjeta. logging.redact en config.json sobrescribe cada entrada.
+ */
+export const DEFAULT_REDACTION = {
+  last4: "mask",
+  authorizationCode: "mask",
+  bondNumber: "mask",
+  couponCode: "clear",
+  amount: "mask",
+  tax: "mask",
+  tip: "mask",
+  iac: "mask",
+  discount: "mask",
+  bondBalance: "mask",
+  franchiseTotals: "mask",
+  voidTotals: "mask",
+  filler: "mask",
+  terminalId: "clear",
+  receiptNumber: "clear",
+  date: "clear",
+  time: "clear",
+  responseCode: "clear",
+  franchise: "clear",
+  accountType: "clear",
+  quotas: "clear",
+  transactionId: "clear",
+  cashierId: "clear",
+};
+
+// Metadatos del servicio (no son campos TEF) que se loguean visibles
+const CLEAR_LOG_KEYS = new Set([
+  "deviceId",
+  "type",
+  "stage",
+  "state",
+  "status",
+  "message",
+  "error",
+  "errorCode",
+  "code",
+  "reason",
+  "phase",
+  "timeout",
+  "stack",
+  "format",
+  "copies",
+  "count",
+  "idempotencyKey",
+  "resolvedBy",
+  "port",
+]);
+
+// Claves de la API y del diario que corresponden a un campo TEF
+const FIELD_ALIASES = {
+  authCode: "authorizationCode",
+  balance: "amount",
+  pan: "last4",
+};
+
+let redactionPolicy = { ...DEFAULT_REDACTION };
+
+const MASK_BYTE = 0x2a; // "*"
+const FIELD_SEPARATOR = 0x1c;
+const STX = 0x02;
+const HEADERS_LENGTH = 17; // Transport header (10) + presentation header (7)
+
+function shouldMask(key) {
+  const name = FIELD_ALIASES[key] ?? key;
+  const policy =
+    redactionPolicy[name] ?? (CLEAR_LOG_KEYS.has(name) ? "clear" : "mask");
+  return policy !== "clear";
+}
+
+/**
+ * Copia de un valor logueable con los campos sensibles ocultos
+ * Se recorren objetos planos y arreglos; de los textos y números solo quedan
+ * visibles los de claves en "clear". Buffers, Errors y fechas se dejan como están.
+ */
+export function redact(value) {
+  if (Array.isArray(value)) return value.map(redact);
+  if (!value || typeof value !== "object") return value;
+  if (Buffer.isBuffer(value) || value instanceof Error) return value;
+  if (value instanceof Date) return value;
+
+  return Object.fromEntries(
+    Object.entries(value).map(([key, item]) => [key, redactEntry(key, item)]),
+  );
+}
+
+function redactEntry(key, item) {
+  if (Array.isArray(item)) {
+    return item.map((element) => redactEntry(key, element));
+  }
+  if (typeof item === "string" || typeof item === "number") {
+    return shouldMask(key) ? "****" : item;
+  }
+  return redact(item);
+}
+
+/**
+ * Copia de una trama TEF con los valores de los campos sensibles enmascarados
+ * Conserva la estructura (longitudes, separadores, LRC) para poder depurar.
+ * Si la trama no se puede recorrer (fragmento, bytes descartados) se oculta
+ * todo lo que sigue a los headers. Los bytes de control (ACK, NACK, EOT) no cambian.
+ */
+export function redactFrame(frame) {
+  if (frame.length <= 1) return Buffer.from(frame);
+
+  const masked = Buffer.from(frame);
+  const fieldsStart = 1 + 2 + HEADERS_LENGTH;
+
+  // Fragmento sin STX: no se sabe qué contiene
+  if (masked[0] !== STX) return masked.fill(MASK_BYTE);
+
+  let position = fieldsStart;
+  while (position < masked.length && masked[position] === FIELD_SEPARATOR) {
+    const header = masked.subarray(position, position + 5);
+    if (header.length < 5) break;
+
+    const code = parseInt(header.subarray(1, 3).toString("ascii"), 10);
+    const length = header.readUInt16BE(3);
+    const valueStart = position + 5;
+    const valueEnd = valueStart + length;
+    if (valueEnd > masked.length) break;
+
+    const field = TEFFields.byCode.get(code);
+    // Campos fuera del diccionario: se ocultan (no se sabe qué llevan)
+    if (!field || shouldMask(field.name)) {
+      masked.fill(MASK_BYTE, valueStart, valueEnd);
+    }
+    position = valueEnd;
+  }
+
+  // Lo que quede sin recorrer (campo truncado, basura) se oculta, salvo ETX + LRC
+  const trailerStart = masked.length - 2;
+  if (position < trailerStart && masked[trailerStart] === 0x03) {
+    masked.fill(MASK_BYTE, position, trailerStart);
+  } else if (position < masked.length && masked[trailerStart] !== 0x03) {
+    masked.fill(MASK_BYTE, Math.max(position, fieldsStart));
+  }
+  return masked;
+}
+
+function renderAscii(buffer) {
+  return buffer.toString("latin1").replace(/[^\x20-\x7E]/g, ".");
+}
+
+// Oculta campos sensibles de los metadatos antes de cualquier transporte
+const redactFormat = winston.format((info) => {
+  for (const key of Object.keys(info)) {
+    if (["level", "message", "timestamp", "service"].includes(key)) continue;
+    info[key] = redactEntry(key, info[key]);
+  }
+  return info;
+});
+
+// Nivel inicial; config.logging.level (LOG_LEVEL) lo ajusta con configureLogging()
 export const logger = winston.createLogger({
   level: "debug",
   format: winston.format.combine(
+    redactFormat(),
     winston.format.timestamp({ format: "YYYY-MM-DD HH:mm:ss" }),
     winston.format.errors({ stack: true }),
     winston.format.json(),
@@ -46,11 +209,128 @@ export const logger = winston.createLogger({
   ],
 });
 
-// Helper para loguear tramas hex
+/**
+ * Traza del protocolo: tramas completas sin ocultar, solo para soporte.
+ * Se activa a pedido (logging.trace.enabled o POST /api/trace), se apaga sola
+ * después de maxMinutes y los archivos se borran pasadas retentionHours.
+ * El directorio y los archivos se crean solo para el usuario del servicio (0700/0600).
+ */
+class ProtocolTrace {
+  constructor() {
+    this.dir = join(logDir, "trace");
+    this.maxMinutes = 30;
+    this.retentionHours = 24;
+    this.fd = null;
+    this.file = null;
+    this.expiresAt = null;
+    this.timer = null;
+  }
+
+  configure({ dir, maxMinutes, retentionHours } = {}) {
+    if (dir) this.dir = dir;
+    this.maxMinutes = maxMinutes ?? this.maxMinutes;
+    this.retentionHours = retentionHours ?? this.retentionHours;
+  }
+
+  get active() {
+    return this.fd !== null;
+  }
+
+  start(minutes = this.maxMinutes) {
+    this.stop("reiniciada");
+    this.purge();
+
+    const duration = Math.min(minutes, this.maxMinutes);
+    fs.mkdirSync(this.dir, { recursive: true, mode: 0o700 });
+    fs.chmodSync(this.dir, 0o700); // por si ya existía con otros permisos
+    this.file = join(
+      this.dir,
+      `trace-${new Date().toISOString().replace(/[:.]/g, "-")}.log`,
+    );
+    this.fd = fs.openSync(this.file, "a", 0o600);
+    this.expiresAt = new Date(Date.now() + duration * 60 * 1000);
+
+    this.timer = setTimeout(() => this.stop("expirada"), duration * 60 * 1000);
+    this.timer.unref();
+
+    logger.warn(
+      `Traza del protocolo ACTIVA hasta ${this.expiresAt.toISOString()}: ${this.file} contiene datos de tarjeta sin ocultar`,
+    );
+    return this.getStatus();
+  }
+
+  stop(reason = "detenida") {
+    clearTimeout(this.timer);
+    this.timer = null;
+    if (this.fd === null) return this.getStatus();
+
+    fs.closeSync(this.fd);
+    this.fd = null;
+    this.expiresAt = null;
+    logger.warn(`Traza del protocolo ${reason}: ${this.file}`);
+    return this.getStatus();
+  }
+
+  write(prefix, data) {
+    if (this.fd === null) return;
+    fs.writeSync(
+      this.fd,
+      `${new Date().toISOString()} ${prefix} HEX: ${data.toString("hex").toUpperCase()} ASCII: ${renderAscii(data)}\n`,
+    );
+  }
+
+  /**
+   * Borra las trazas más viejas que retentionHours
+   */
+  purge() {
+    if (!fs.existsSync(this.dir)) return;
+    const limit = Date.now() - this.retentionHours * 60 * 60 * 1000;
+
+    for (const name of fs.readdirSync(this.dir)) {
+      const path = join(this.dir, name);
+      if (path === this.file && this.active) continue;
+      if (fs.statSync(path).mtimeMs < limit) {
+        fs.rmSync(path, { force: true });
+        logger.info(`Traza del protocolo vencida eliminada: ${name}`);
+      }
+    }
+  }
+
+  getStatus() {
+    return {
+      active: this.active,
+      file: this.active ? this.file : null,
+      expiresAt: this.expiresAt,
+      maxMinutes: this.maxMinutes,
+      retentionHours: this.retentionHours,
+    };
+  }
+}
+
+export const protocolTrace = new ProtocolTrace();
+
+/**
+ * Aplica config.logging: nivel, política de ocultamiento y traza del protocolo
+ */
+export function configureLogging({
+  level,
+  redact: policy = {},
+  trace = {},
+} = {}) {
+  if (level) logger.level = level;
+  redactionPolicy = { ...DEFAULT_REDACTION, ...policy };
+  protocolTrace.configure(trace);
+  protocolTrace.purge();
+  if (trace.enabled) protocolTrace.start();
+}
+
+// Helper para loguear tramas hex (con los campos sensibles ocultos)
 export const logHex = (data, prefix = "") => {
   if (Buffer.isBuffer(data)) {
-    logger.debug(`${prefix} HEX: ${data.toString("hex").toUpperCase()}`);
-    // logger.debug(`${prefix} ASCII: ${data.toString('ascii').replace(/[^\x20-\x7E]/g, '.')}`);
+    protocolTrace.write(prefix, data);
+    const redacted = redactFrame(data);
+    logger.debug(`${prefix} HEX: ${redacted.toString("hex").toUpperCase()}`);
+    logger.debug(`${prefix} ASCII: ${renderAscii(redacted)}`);
   } else if (typeof data === "string") {
     logger.debug(`${prefix}: ${data}`);
   }
@@ -4,13 +4,75 @@
 
 import { Router } from "express";
 import Joi from "joi";
-import { logger } from "../lib/logger.js";
+import { logger, protocolTrace } from "../lib/logger.js";
+import { maskSecrets } from "../lib/config.js";
+import { TransactionJournal } from "../lib/TransactionJournal.js";
+import { DeviceRegistry } from "../lib/DeviceRegistry.js";
+import { TransactionTimeouts } from "../lib/TransactionTimeouts.js";
+import { ReceiptBuilder } from "../lib/ReceiptBuilder.js";
 import { SerialPort } from "serialport";
 
-export function createApiRouter(serialManager, tefProtocol) {
+export function createApiRouter(
+  devices,
+  tefProtocol,
+  { journal, events, auth, config = {}, configSources = {} },
+) {
   const router = Router();
+  const { STATES } = TransactionJournal;
+
+  // Permisos de cada ruta (ApiAuth.SCOPES); /health queda abierto para el monitoreo
+  const anyKey = auth.require();
+  const canPurchase = auth.require("purchase");
+  const canVoid = auth.require("void");
+  const canClose = auth.require("close");
+  const canCancel = auth.require("purchase", "void", "close");
+  const isAdmin = auth.require("admin");
+  const streamAuth = auth.requireStream();
+
+  // Comprobantes con el encabezado y los pies del comercio (config.receipts)
+  const receiptBuilder = new ReceiptBuilder(config.receipts);
+
+  // Compras en curso por clave de idempotencia (los reintentos comparten el resultado)
+  const inFlightPurchases = new Map();
+
+  // Último sufijo generado: IDs distintos aunque lleguen en el mismo milisegundo
+  let lastGeneratedId = 0;
+
+  /**
+   * transactionId para las peticiones que no lo traen: prefijo + 9 dígitos del
+   * reloj en ms, siempre creciente y sin repetir uno que ya esté en el diario
+   */
+  function generateTransactionId(prefix) {
+    let transactionId;
+    do {
+      lastGeneratedId = Math.max(Date.now(), lastGeneratedId + 1);
+      transactionId = `${prefix}${lastGeneratedId.toString().slice(-9)}`;
+    } while (journal.get(transactionId));
+    return transactionId;
+  }
+
+  // Qué hacer cuando la respuesta de una venta no llega o es ilegible (tef.unknownOutcome)
+  const outcomePolicyFor = (serialManager) => ({
+    strategy: "query",
+    pollTimeout: 30000,
+    autoVoid: true,
+    ...serialManager.tefConfig.unknownOutcome,
+  });
 
   // Esquemas de validación
+  const deviceIdSchema = Joi.string()
+    .max(20)
+    .optional()
+    .description("Datáfono (por defecto el asignado a terminalId)");
+
+  const timeoutSchema = Joi.number()
+    .integer()
+    .positive()
+    .optional()
+    .description(
+      "Plazo total en ms; solo acorta el configurado (tef.timeouts.minRequest como mínimo)",
+    );
+
   const purchaseSchema = Joi.object({
     amount: Joi.number()
       .integer()
@@ -27,6 +89,8 @@ export function createApiRouter(serialManager, tefProtocol) {
       .optional()
       .default("001")
       .description("Número de caja/terminal"),
+    deviceId: deviceIdSchema,
+    timeout: timeoutSchema,
     transactionId: Joi.string()
       .max(10)
       .optional()
@@ -51,6 +115,10 @@ export function createApiRouter(serialManager, tefProtocol) {
       .optional()
       .default(true)
       .description("Solicitar envío de PAN enmascarado"),
+    async: Joi.boolean()
+      .optional()
+      .default(false)
+      .description("Responder 202 de inmediato y seguir el progreso por SSE"),
   });
 
   const reversalSchema = Joi.object({
@@ -61,20 +129,620 @@ export function createApiRouter(serialManager, tefProtocol) {
     terminalId: Joi.string().max(10).optional().default("001"),
     transactionId: Joi.string().max(10).optional(),
     cashierId: Joi.string().max(12).optional().default("OSCROM"),
+    deviceId: deviceIdSchema,
+    timeout: timeoutSchema,
+  });
+
+  const cashAdvanceSchema = Joi.object({
+    amount: Joi.number()
+      .integer()
+      .positive()
+      .required()
+      .description("Monto del avance en centavos"),
+    terminalId: Joi.string().max(10).optional().default("001"),
+    transactionId: Joi.string().max(10).optional(),
+    cashierId: Joi.string().max(12).optional().default("OSCROM"),
+    deviceId: deviceIdSchema,
+    timeout: timeoutSchema,
+  });
+
+  const couponPurchaseSchema = Joi.object({
+    amount: Joi.number()
+      .integer()
+      .positive()
+      .required()
+      .description("Monto en centavos antes del descuento"),
+    tax: Joi.number().integer().min(0).optional().default(0),
+    couponCode: Joi.string()
+      .alphanum()
+      .max(20)
+      .required()
+      .description("Código del cupón de la campaña"),
+    terminalId: Joi.string().max(10).optional().default("001"),
+    transactionId: Joi.string().max(10).optional(),
+    cashierId: Joi.string().max(12).optional().default("OSCROM"),
+    deviceId: deviceIdSchema,
+    timeout: timeoutSchema,
+  });
+
+  const bondRechargeSchema = Joi.object({
+    amount: Joi.number()
+      .integer()
+      .positive()
+      .required()
+      .description("Monto a recargar en centavos"),
+    bondNumber: Joi.string()
+      .pattern(/^\d+$/)
+      .max(20)
+      .required()
+      .description("Número del bono"),
+    terminalId: Joi.string().max(10).optional().default("001"),
+    transactionId: Joi.string().max(10).optional(),
+    cashierId: Joi.string().max(12).optional().default("OSCROM"),
+    deviceId: deviceIdSchema,
+    timeout: timeoutSchema,
+  });
+
+  const balanceSchema = Joi.object({
+    terminalId: Joi.string().max(10).optional().default("001"),
+    transactionId: Joi.string().max(10).optional(),
+    cashierId: Joi.string().max(12).optional().default("OSCROM"),
+    deviceId: deviceIdSchema,
+    timeout: timeoutSchema,
+  });
+
+  const closeSchema = Joi.object({
+    terminalId: Joi.string().max(10).optional().default("001"),
+    transactionId: Joi.string().max(10).optional(),
+    cashierId: Joi.string().max(12).optional().default("OSCROM"),
+    deviceId: deviceIdSchema,
+    timeout: timeoutSchema,
+  });
+
+  const mockScenarioSchema = Joi.object({
+    type: Joi.string()
+      .valid(
+        "approve",
+        "decline",
+        "timeout",
+        "badLrc",
+        "nack",
+        "malformed",
+        "lateResponse",
+        "lostResponse",
+      )
+      .required()
+      .description("Escenario del datáfono simulado"),
+    deviceId: deviceIdSchema,
+    code: Joi.string()
+      .length(2)
+      .optional()
+      .description("Código de respuesta para el escenario decline"),
+    times: Joi.number()
+      .integer()
+      .min(1)
+      .optional()
+      .description("Número de NACK consecutivos para el escenario nack"),
+    delay: Joi.number()
+      .integer()
+      .min(0)
+      .optional()
+      .description(
+        "Milisegundos hasta la respuesta en el escenario lateResponse",
+      ),
+    persistent: Joi.boolean()
+      .optional()
+      .default(false)
+      .description("Usar como escenario por defecto en lugar de encolarlo"),
+  });
+
+  const transactionsQuerySchema = Joi.object({
+    from: Joi.date().iso().optional().description("Fecha inicial (ISO 8601)"),
+    to: Joi.date().iso().optional().description("Fecha final (ISO 8601)"),
+    terminalId: Joi.string().max(10).optional(),
+    cashierId: Joi.string().max(12).optional(),
+    status: Joi.string()
+      .uppercase()
+      .valid(...Object.values(TransactionJournal.STATES))
+      .optional()
+      .description("Estado de la transacción (APPROVED, DECLINED…)"),
+    franchise: Joi.string().max(20).optional(),
+    deviceId: Joi.string().max(20).optional(),
+    page: Joi.number().integer().min(1).optional().default(1),
+    pageSize: Joi.number().integer().min(1).max(200).optional().default(50),
+  });
+
+  const receiptQuerySchema = Joi.object({
+    format: Joi.string()
+      .valid(...ReceiptBuilder.FORMATS)
+      .optional()
+      .default("text"),
+    width: Joi.number()
+      .valid(...ReceiptBuilder.WIDTHS)
+      .optional()
+      .description("Columnas de la impresora (por defecto receipts.width)"),
+    copy: Joi.string()
+      .valid(...ReceiptBuilder.COPIES, "both")
+      .optional()
+      .default("both"),
   });
 
   const connectSchema = Joi.object({
     port: Joi.string()
       .required()
       .description("Puerto serial a conectar (ej: COM3)"),
+    deviceId: deviceIdSchema.description(
+      "Datáfono a reconfigurar (por defecto el único o el default)",
+    ),
+    baudRate: Joi.number()
+      .valid(1200, 2400, 4800, 9600, 19200, 38400, 57600, 115200)
+      .optional(),
+    dataBits: Joi.number().valid(5, 6, 7, 8).optional(),
+    stopBits: Joi.number().valid(1, 1.5, 2).optional(),
+    parity: Joi.string()
+      .valid("none", "even", "odd", "mark", "space")
+      .optional(),
+    persist: Joi.boolean()
+      .optional()
+      .default(true)
+      .description("Guardar el puerto para el próximo arranque"),
+  });
+
+  const traceSchema = Joi.object({
+    enabled: Joi.boolean().required(),
+    minutes: Joi.number()
+      .integer()
+      .min(1)
+      .optional()
+      .description("Duración de la traza (tope logging.trace.maxMinutes)"),
   });
 
+  /**
+   * Ejecuta la secuencia completa con el datáfono para una transacción:
+   * PASO 1 handshake (mensaje inicial corto), PASO 2 trama de la transacción.
+   * El ACK de la respuesta lo envía SerialManager al validar la trama.
+   * Cada paso queda registrado en el diario antes de continuar.
+   * Si la respuesta de una venta no llega o es ilegible se aplica tef.unknownOutcome
+   * (resolveUnknownOutcome) y una aprobación tardía se anula automáticamente
+   * sin soltar el datáfono.
+   * options.resultData(response): datos adicionales para el registro final (p. ej. el reporte de cierre)
+   * options.exclusive: el llamador ya tiene el datáfono reservado (anulación automática)
+   * Un transactionId ya registrado solo se reusa para reintentar el mismo tipo
+   * cuando el intento anterior no llegó al datáfono; si no, 409 TRANSACTION_EXISTS
+   * transaction.deviceId: datáfono que la ejecuta (resuelto en la ruta)
+   * transaction.timeout: plazo total pedido por el kiosko (ver TransactionTimeouts);
+   *   corre desde que el datáfono queda reservado, sin contar la espera en la cola
+   */
+  async function executeTransaction(
+    transactionFrame,
+    label,
+    transaction,
+    options = {},
+  ) {
+    const { transactionId, ...requestData } = transaction;
+    const { serialManager } = devices.get(requestData.deviceId);
+    const isSale = TransactionJournal.SALE_TYPES.includes(requestData.type);
+    // Plazos por fase del tipo; INVALID_TIMEOUT antes de registrar nada
+    const timeouts = new TransactionTimeouts(
+      TransactionTimeouts.resolve(
+        serialManager.tefConfig,
+        requestData.type,
+        requestData.timeout,
+      ),
+    );
+    let frameSent = false;
+
+    const previous = journal.get(transactionId);
+    if (
+      previous &&
+      (previous.type !== requestData.type ||
+        !TransactionJournal.isRetryable(previous))
+    ) {
+      const error = new Error(
+        `La transacción ${transactionId} ya existe (${previous.type}, ${previous.state})`,
+      );
+      error.code = "TRANSACTION_EXISTS";
+      throw error;
+    }
+
+    // Un reintento empieza sin el error ni la marca de conciliación del intento anterior
+    journal.record(transactionId, STATES.REQUESTED, {
+      ...requestData,
+      ...(previous && {
+        error: null,
+        errorCode: null,
+        phase: null,
+        reason: null,
+        resolvedBy: null,
+        needsReconciliation: false,
+      }),
+    });
+    events.publish(transactionId, "requested", { type: requestData.type });
+
+    // Handshake + transacción, con acceso exclusivo al datáfono
+    const exchange = async () => {
+      timeouts.start();
+      logger.info(`Enviando handshake inicial al datáfono (${label})...`);
+      const handshakeFrame = tefProtocol.buildHandshakeFrame();
+
+      // Enviar handshake y esperar respuesta
+      journal.record(transactionId, STATES.HANDSHAKE_SENT);
+      events.publish(transactionId, "handshake-sent");
+      const handshake = timeouts.handshake();
+      await serialManager.sendAndReceive(handshakeFrame, handshake.timeout, {
+        phase: handshake.phase,
+        ackTimeout: timeouts.plan.ack,
+        onAck: () => events.publish(transactionId, "handshake-ack"),
+      });
+      logger.info(`Handshake completado, enviando datos de ${label}...`);
+      const wait = timeouts.response();
+
+      // Desde aquí el datáfono puede haber cobrado: un fallo es UNKNOWN, no FAILED
+      journal.record(transactionId, STATES.TRANSACTION_SENT);
+      events.publish(transactionId, "transaction-sent");
+      frameSent = true;
+
+      // Enviar transacción y esperar respuesta final (el cliente interactúa con el datáfono)
+      try {
+        return await serialManager.sendAndReceive(
+          transactionFrame,
+          wait.timeout,
+          {
+            phase: wait.phase,
+            ackTimeout: timeouts.plan.ack,
+            onAck: () => events.publish(transactionId, "waiting-for-card"),
+          },
+        );
+      } catch (error) {
+        if (!isSale || error.code === "CANCELLED") throw error;
+
+        // Con el datáfono aún reservado: averiguar si hubo cobro
+        const resolution = await resolveUnknownOutcome(
+          serialManager,
+          transaction,
+          error,
+        );
+        if (resolution?.notProcessed) {
+          const notProcessed = new Error(
+            "El datáfono no registró la transacción: no hubo cobro",
+          );
+          notProcessed.code = "NOT_PROCESSED";
+          notProcessed.phase = error.phase;
+          notProcessed.timeout = error.timeout;
+          notProcessed.outcome = {
+            charged: false,
+            resolvedBy: resolution.resolvedBy,
+          };
+          throw notProcessed;
+        }
+        if (!resolution) throw error;
+
+        return {
+          ...resolution.response,
+          resolvedBy: resolution.resolvedBy,
+        };
+      }
+    };
+
+    const task = async () => {
+      const response = await exchange();
+
+      events.publish(transactionId, "response-received");
+      journal.record(transactionId, STATES.RESPONSE_RECEIVED, {
+        fields: response.fields,
+        resolvedBy: response.resolvedBy,
+      });
+      journal.record(
+        transactionId,
+        response.success ? STATES.APPROVED : STATES.DECLINED,
+        {
+          responseCode: response.transactionData?.responseCode,
+          message: response.message,
+          transactionData: response.transactionData,
+          ...options.resultData?.(response),
+        },
+      );
+
+      // Aprobación tardía: el kiosko ya dio la venta por fallida, se anula antes
+      // de liberar el datáfono para que ninguna otra transacción se interponga
+      if (
+        response.resolvedBy &&
+        response.success &&
+        outcomePolicyFor(serialManager).autoVoid
+      ) {
+        response.autoVoid = await autoVoid(transaction, response);
+      }
+
+      return response;
+    };
+
+    try {
+      return options.exclusive
+        ? await task()
+        : await serialManager.runExclusive(
+            { transactionId, type: requestData.type },
+            task,
+          );
+    } catch (error) {
+      // Cancelada desde el kiosko: si la trama ya se envió, confirmar que no hubo cobro.
+      // NOT_PROCESSED: la consulta confirmó que el datáfono no la registró
+      const cancelled = error.code === "CANCELLED";
+      const unknown = frameSent && !cancelled && error.code !== "NOT_PROCESSED";
+      let state = unknown ? STATES.UNKNOWN : STATES.FAILED;
+      if (cancelled) state = STATES.CANCELLED;
+
+      if (unknown) {
+        error.indeterminate = true;
+        error.outcome = { charged: null };
+      }
+
+      journal.record(transactionId, state, {
+        error: error.message,
+        errorCode: error.code,
+        phase: error.phase,
+        needsReconciliation: unknown || (cancelled && frameSent),
+        resolvedBy: error.outcome?.resolvedBy,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Averigua qué pasó con una venta cuya respuesta no llegó o fue ilegible.
+   * Se ejecuta con el datáfono aún reservado, según tef.unknownOutcome.strategy:
+   *  - "poll": esperar una respuesta tardía durante pollTimeout
+   *  - "query": abortar con EOT y consultar la última transacción del datáfono
+   *  - "none": dejar la transacción UNKNOWN para conciliación manual
+   * Retorna { resolvedBy, response } si el datáfono la procesó,
+   * { resolvedBy, notProcessed: true } si no la registró, o null si sigue indeterminada
+   */
+  async function resolveUnknownOutcome(serialManager, transaction, error) {
+    const { transactionId, terminalId, cashierId } = transaction;
+    const { strategy, pollTimeout } = outcomePolicyFor(serialManager);
+
+    if (strategy === "none") return null;
+
+    logger.warn(
+      `Transacción ${transactionId} sin respuesta válida (${error.message}), resolviendo con "${strategy}"`,
+    );
+    events.publish(transactionId, "resolving", { strategy });
+
+    // Una respuesta ilegible ya llegó: esperar otra no sirve
+    if (strategy === "poll" && !error.indeterminate) {
+      const response = await serialManager.waitForFrame(pollTimeout);
+      if (response && response.status !== "INDETERMINATE") {
+        return { resolvedBy: "poll", response };
+      }
+      serialManager.sendEot();
+      return null;
+    }
+
+    if (strategy !== "query") return null;
+
+    try {
+      // Abortar lo que el datáfono tenga en curso para que no cobre después
+      serialManager.sendEot();
+      const query = TransactionTimeouts.resolve(
+        serialManager.tefConfig,
+        "lastTransaction",
+      );
+      await serialManager.sendAndReceive(
+        tefProtocol.buildHandshakeFrame(),
+        query.handshake,
+        { phase: "handshake", ackTimeout: query.ack },
+      );
+      const response = await serialManager.sendAndReceive(
+        tefProtocol.buildLastTransactionQueryFrame({ terminalId, cashierId }),
+        query.authorization,
+        { phase: "authorization", ackTimeout: query.ack },
+      );
+
+      // Sin número de transacción (p. ej. el datáfono no lo reporta) no se puede
+      // descartar el cobro: se deja indeterminada en lugar de permitir un reintento
+      const lastId = response.fields.transactionId;
+      if (!lastId) {
+        logger.warn(
+          `La consulta no trae el número de la última transacción: ${transactionId} queda indeterminada`,
+        );
+        return null;
+      }
+      if (lastId !== transactionId) {
+        logger.info(
+          `Última transacción del datáfono: ${lastId}; ${transactionId} no fue procesada`,
+        );
+        return { resolvedBy: "query", notProcessed: true };
+      }
+
+      // Mismo número pero otro monto: no es la venta pedida
+      const reportedAmount = response.transactionData?.amount;
+      if (
+        transaction.amount !== undefined &&
+        reportedAmount !== undefined &&
+        reportedAmount !== transaction.amount
+      ) {
+        // El monto va en los metadatos para que aplique logging.redact
+        logger.warn(
+          `La última transacción ${lastId} reporta otro monto: queda indeterminada`,
+          { transactionId: lastId, amount: reportedAmount },
+        );
+        return null;
+      }
+      return { resolvedBy: "query", response };
+    } catch (queryError) {
+      // Cancelada desde el kiosko durante la consulta: no queda indeterminada
+      if (queryError.code === "CANCELLED") throw queryError;
+      logger.error(
+        `No se pudo consultar la última transacción: ${queryError.message}`,
+      );
+      return null;
+    }
+  }
+
+  /**
+   * Anula una venta aprobada después del timeout (tef.unknownOutcome.autoVoid)
+   * Se llama con el datáfono de la venta aún reservado.
+   * Retorna { transactionId, success } de la anulación; si falla la venta queda
+   * marcada para conciliación porque el cliente sí fue cobrado
+   */
+  async function autoVoid(transaction, response) {
+    const { transactionId, terminalId, cashierId, deviceId } = transaction;
+    const voidTransactionId = generateTransactionId("A");
+
+    logger.warn(
+      `Aprobación tardía de ${transactionId}, anulando automáticamente (${voidTransactionId})`,
+    );
+    events.publish(transactionId, "auto-void", { voidTransactionId });
+
+    let success = false;
+    try {
+      const webResponse = await processVoid(
+        {
+          receiptNumber: response.transactionData.receiptNumber,
+          terminalId,
+          cashierId,
+          deviceId,
+        },
+        voidTransactionId,
+        { autoVoidOf: transactionId },
+        { exclusive: true },
+      );
+      success = webResponse.data.success;
+    } catch (error) {
+      logger.error(
+        `Anulación automática de ${transactionId} fallida: ${error.message}`,
+      );
+    }
+
+    journal.record(transactionId, STATES.APPROVED, {
+      autoVoid: { transactionId: voidTransactionId, success },
+      needsReconciliation: !success,
+    });
+    return { transactionId: voidTransactionId, success };
+  }
+
+  /**
+   * Código HTTP para errores de transacción
+   * 423: datáfono ocupado (tef.queue.rejectWhenBusy), 409: cola llena o
+   * transactionId ya usado,
+   * 502: respuesta del datáfono ilegible (resultado indeterminado),
+   * 404: ningún datáfono para el deviceId o la caja
+   */
+  function httpStatusFor(error) {
+    if (error.indeterminate) return 502;
+
+    const statusByCode = {
+      DEVICE_NOT_FOUND: 404,
+      INVALID_TIMEOUT: 400,
+      DEVICE_BUSY: 423,
+      QUEUE_FULL: 409,
+      TRANSACTION_EXISTS: 409,
+      CANCELLED: 409,
+      NOT_PROCESSED: 504,
+      RESPONSE_TIMEOUT: 504,
+    };
+    return statusByCode[error.code] || 500;
+  }
+
+  /**
+   * Body de error de una transacción
+   * "cancelled" si se canceló desde el kiosko, "unknown" si no se sabe si hubo cobro.
+   * outcome.charged: false si se confirmó que no hubo cobro, null si es desconocido
+   * phase y timeout: fase que venció (ack, handshake, card, authorization) y su plazo en ms
+   */
+  function errorBody(error) {
+    let status = "error";
+    if (error.code === "CANCELLED") status = "cancelled";
+    if (error.indeterminate) status = "unknown";
+
+    return {
+      status,
+      message: error.message,
+      code: error.code || "INTERNAL_ERROR",
+      ...(error.phase && { phase: error.phase }),
+      ...(error.timeout !== undefined && { timeout: error.timeout }),
+      ...(error.outcome && { outcome: error.outcome }),
+    };
+  }
+
+  /**
+   * Publica el resultado final de una transacción para los clientes SSE
+   * TRANSACTION_EXISTS no se publica: el stream es de la transacción que ya tenía el ID
+   * Retorna la misma promesa para encadenarla
+   */
+  function publishOutcome(transactionId, promise) {
+    promise
+      .then(
+        (webResponse) => events.publish(transactionId, "result", webResponse),
+        (error) => {
+          if (error.code === "TRANSACTION_EXISTS") return;
+          events.publish(transactionId, "result", errorBody(error));
+        },
+      )
+      .catch((error) =>
+        logger.error(
+          `No se pudo publicar el resultado de ${transactionId}: ${error.message}`,
+        ),
+      );
+    return promise;
+  }
+
+  /**
+   * Formatea la respuesta parseada del datáfono para la aplicación web
+   */
+  function formatTransactionResponse(response, context) {
+    const tx = response.transactionData || {};
+
+    const webResponse = {
+      status: response.success === true ? "approved" : "rejected",
+      message: response.message || "Transacción procesada",
+      data: {
+        success: response.success === true,
+        authCode: tx.authorizationCode || response.authCode,
+        responseCode:
+          tx.responseCode || response.responseCode || response.errorCode,
+        amount: tx.amount || response.amount,
+        transactionId: context.transactionId,
+        terminalId: context.terminalId,
+        cashierId: context.cashierId,
+        date: tx.date,
+        time: tx.time,
+        franchise: tx.franchise,
+        receiptNumber: tx.receiptNumber,
+        accountType: tx.accountType,
+        last4: tx.last4,
+        quotas: tx.quotas,
+      },
+    };
+
+    // Resultado recuperado después de un timeout o una respuesta ilegible
+    if (response.resolvedBy) {
+      const reversed = response.autoVoid?.success === true;
+      webResponse.outcome = {
+        resolvedBy: response.resolvedBy,
+        charged: response.success === true && !reversed,
+        reversed,
+        voidTransactionId: response.autoVoid?.transactionId,
+      };
+      if (reversed) {
+        webResponse.status = "reversed";
+        webResponse.message =
+          "Aprobada sin respuesta válida del datáfono y anulada automáticamente: no hubo cobro";
+      } else if (response.autoVoid) {
+        webResponse.message =
+          "Aprobada sin respuesta válida del datáfono; la anulación automática falló y el cliente fue cobrado";
+      }
+    }
+
+    return webResponse;
+  }
+
   /**
    * @api {get} /ports Lista puertos seriales disponibles
    * @apiName ListPorts
    * @apiGroup Serial
+   * @apiPermission admin
    */
-  router.get("/ports", async (req, res) => {
+  router.get("/ports", isAdmin, async (req, res) => {
     try {
       const ports = await SerialPort.list();
       res.json({
@@ -87,7 +755,7 @@ export function createApiRouter(serialManager, tefProtocol) {
         })),
       });
     } catch (error) {
-      logger.error("Error listando puertos:", error.message);
+      logger.error(`Error listando puertos: ${error.message}`);
       res.status(500).json({
         success: false,
         message: "Error listando puertos seriales",
@@ -96,11 +764,30 @@ export function createApiRouter(serialManager, tefProtocol) {
   });
 
   /**
-   * @api {post} /connect Establece conexión con datáfono
+   * @api {post} /connect Conecta el datáfono a otro puerto o con otros parámetros
    * @apiName Connect
    * @apiGroup Serial
+   * @apiPermission admin
+   *
+   * @apiBody {String} port Puerto serial (debe aparecer en GET /ports)
+   * @apiBody {String} [deviceId] Datáfono a reconfigurar (obligatorio con varios datáfonos sin default)
+   * @apiBody {Number} [baudRate] Velocidad (por defecto la actual)
+   * @apiBody {Number} [dataBits] 5 | 6 | 7 | 8
+   * @apiBody {Number} [stopBits] 1 | 1.5 | 2
+   * @apiBody {String} [parity] none | even | odd | mark | space
+   * @apiBody {Boolean} [persist=true] Guardar el puerto para el próximo arranque
+   *
+   * @apiSuccess {Boolean} success true si el puerto quedó abierto
+   * @apiSuccess {Object} settings Parámetros seriales aplicados
+   * @apiSuccess {Object} link Estado del supervisor del enlace
+   *
+   * @apiError (404) PORT_NOT_FOUND El puerto no existe en el sistema
+   * @apiError (404) DEVICE_NOT_FOUND El datáfono no existe
+   * @apiError (409) PORT_IN_USE El puerto ya está asignado a otro datáfono
+   * @apiError (423) DEVICE_BUSY Hay una transacción en curso
+   * @apiError (502) CONNECT_FAILED No se pudo abrir el puerto (el supervisor sigue reintentando)
    */
-  router.post("/connect", async (req, res) => {
+  router.post("/connect", isAdmin, async (req, res) => {
     try {
       const { error, value } = connectSchema.validate(req.body);
       if (error) {
@@ -110,24 +797,115 @@ export function createApiRouter(serialManager, tefProtocol) {
         });
       }
 
-      logger.info("Solicitud de conexión a puerto:", value.port);
+      const { persist, deviceId, ...requested } = value;
+      const device = devices.resolve({ deviceId });
+      const { serialManager } = device;
+      logger.info(
+        `Solicitud de conexión del datáfono ${device.id}:`,
+        requested,
+      );
+
+      // Puerto configurado o abierto (el detectado por vendorId puede ser otro)
+      const owner = devices
+        .list()
+        .find(
+          ({ serialManager: other }) =>
+            other !== serialManager &&
+            [other.config.port, other.port?.path].includes(requested.port),
+        );
+      if (owner) {
+        return res.status(409).json({
+          success: false,
+          message: `El puerto ${requested.port} está asignado al datáfono ${owner.id}`,
+          code: "PORT_IN_USE",
+        });
+      }
+
+      // En modo mock el puerto es virtual: no se valida contra el sistema
+      if (!serialManager.tefConfig.mockMode) {
+        const available = (await SerialPort.list()).map((port) => port.path);
+        if (!available.includes(requested.port)) {
+          return res.status(404).json({
+            success: false,
+            message: `Puerto ${requested.port} no encontrado`,
+            code: "PORT_NOT_FOUND",
+            available,
+          });
+        }
+      }
+
+      // Un puerto elegido a mano reemplaza la detección por vendorId/productId
+      const settings = { ...requested, vendorId: null, productId: null };
+      const connected = await serialManager.reconfigure(settings);
+      const status = serialManager.getStatus();
+      const applied = {
+        port: status.port,
+        baudRate: status.baudRate,
+        dataBits: status.dataBits,
+        stopBits: status.stopBits,
+        parity: status.parity,
+      };
 
-      // Actualizar configuración con el puerto seleccionado
-      serialManager.config.serial.port = value.port;
+      if (!connected) {
+        return res.status(502).json({
+          success: false,
+          message: `No se pudo abrir ${requested.port}: ${serialManager.lastError}`,
+          code: "CONNECT_FAILED",
+          deviceId: device.id,
+          settings: applied,
+          link: status.link,
+        });
+      }
 
-      // Intentar conectar
-      await serialManager.connect();
+      if (persist) {
+        device.settingsStore?.save(serialManager.config);
+      }
 
       res.json({
         success: true,
-        message: "Conectado al datáfono exitosamente",
-        port: value.port,
+        message: `Conectado al datáfono ${device.id} en ${status.port}`,
+        deviceId: device.id,
+        settings: applied,
+        persisted: Boolean(persist && device.settingsStore),
+        link: status.link,
       });
     } catch (error) {
-      logger.error("Error en conexión:", error.message);
-      res.status(500).json({
+      logger.error(`Error en conexión: ${error.message}`);
+      res.status(httpStatusFor(error)).json({
+        success: false,
+        message: error.message,
+        code: error.code || "INTERNAL_ERROR",
+      });
+    }
+  });
+
+  /**
+   * @api {post} /disconnect Cierra el puerto del datáfono
+   * @apiName Disconnect
+   * @apiGroup Serial
+   * @apiPermission admin
+   * @apiDescription El supervisor deja de reconectar hasta el siguiente POST /connect
+   *   o reinicio del servicio. 423 DEVICE_BUSY si hay una transacción en curso.
+   *
+   * @apiBody {String} [deviceId] Datáfono a desconectar (obligatorio con varios datáfonos sin default)
+   */
+  router.post("/disconnect", isAdmin, async (req, res) => {
+    try {
+      const device = devices.resolve({ deviceId: req.body?.deviceId });
+      await device.serialManager.disconnectManually();
+
+      res.json({
+        success: true,
+        message: `Datáfono ${device.id} desconectado`,
+        deviceId: device.id,
+        link: device.serialManager.getStatus().link,
+      });
+    } catch (error) {
+      logger.error(`Error desconectando: ${error.message}`);
+      res.status(httpStatusFor(error)).json({
         success: false,
         message: error.message,
+        code: error.code || "INTERNAL_ERROR",
       });
     }
   });
@@ -136,186 +914,987 @@ export function createApiRouter(serialManager, tefProtocol) {
    * @api {get} /health Verificar salud del servicio
    * @apiName HealthCheck
    * @apiGroup General
+   * @apiPermission none
+   *
+   * @apiSuccess {String} status "ok" si todos los datáfonos están conectados,
+   *   "degraded" si alguno no lo está, "down" si ninguno
+   * @apiSuccess {Object[]} devices Salud de cada datáfono (id, healthy, connected, link, queue…)
+   * @apiSuccess {Object} serial Estado del datáfono default (compatibilidad con un solo datáfono)
    */
   router.get("/health", (req, res) => {
-    const status = serialManager.getStatus();
+    const statuses = devices.getStatus();
+    const healthy = statuses.filter((device) => device.healthy).length;
+
+    let status = "degraded";
+    if (healthy === statuses.length) status = "ok";
+    if (healthy === 0) status = "down";
+
     res.json({
-      status: "ok",
+      status,
       timestamp: new Date().toISOString(),
       service: "tef-bridge",
       version: "1.0.0",
-      serial: status,
+      devices: statuses,
+      serial: devices.defaultDevice?.serialManager.getStatus() ?? null,
     });
   });
 
   /**
-   * @api {post} /purchase Iniciar transacción de compra
-   * @apiName Purchase
-   * @apiGroup Transactions
-   *
-   * @apiBody {Number} amount Monto en centavos (ej: 100000)
-   * @apiBody {Number} [tax=0] IVA en centavos
-   * @apiBody {String} [terminalId="001"] Número de caja
-   * @apiBody {String} [transactionId] ID único de transacción
-   * @apiBody {String} [cashierId="OSCROM"] ID del cajero
-   * @apiBody {Number} [tip=0] Propina en centavos
-   * @apiBody {Number} [iac=100] Valor IAC
-   * @apiBody {Boolean} [sendPan=true] Solicitar envío de PAN
+   * @api {get} /devices Datáfonos registrados
+   * @apiName ListDevices
+   * @apiGroup Serial
+   * @apiPermission admin
    *
-   * @apiSuccess {String} status "ok" o "error"
-   * @apiSuccess {String} message Descripción del resultado
-   * @apiSuccess {Object} data Datos de la transacción
-   * @apiSuccess {Boolean} data.success Indica si fue aprobada
-   * @apiSuccess {String} data.authCode Código de autorización
-   * @apiSuccess {String} data.responseCode Código de respuesta (00=aprobado)
-   * @apiSuccess {String} data.amount Monto autorizado
-   * @apiSuccess {String} [data.maskedPan] PAN enmascarado (si aplica)
-   * @apiSuccess {String} [data.franchise] Franquicia (VISA, MC, etc.)
-   * @apiSuccess {String} [data.receiptNumber] Número de recibo
-   * @apiSuccess {String} [data.accountType] Tipo de cuenta (CR=Crédito, DB=Débito)
-   * @apiSuccess {String} [data.last4] Últimos 4 dígitos de tarjeta
-   * @apiSuccess {String} data.receiptNumber Número de recibo
-   * @apiSuccess {String} data.transactionDate Fecha de transacción (AAAAMMDD)
-   * @apiSuccess {String} data.transactionTime Hora de transacción (HHMM)
+   * @apiSuccess {Object[]} devices id, name, terminalIds (cajas enrutadas), default,
+   *   healthy y estado serial de cada datáfono
    */
-  router.post("/purchase", async (req, res) => {
-    try {
-      // Validar entrada
-      const { error, value } = purchaseSchema.validate(req.body);
-      if (error) {
-        return res.status(400).json({
-          status: "error",
-          message: error.details[0].message,
-        });
-      }
-      console.dir(value);
-      logger.warn("Procesando compra", {
-        amount: value.amount,
-        terminalId: value.terminalId,
-        cashierId: value.cashierId,
-      });
+  router.get("/devices", isAdmin, (req, res) => {
+    res.json({
+      status: "ok",
+      defaultDevice: devices.defaultDevice?.id ?? null,
+      devices: devices.getStatus(),
+    });
+  });
 
-      logger.warn("Solicitud de compra recibida", value);
+  /**
+   * @api {get} /config Configuración efectiva
+   * @apiName Config
+   * @apiGroup Soporte
+   * @apiPermission admin
+   * @apiDescription Resultado de combinar valores por defecto, config.json, .env y
+   *   variables de entorno, con los secretos ocultos.
+   *
+   * @apiSuccess {Object} config Configuración con la que corre el servicio
+   * @apiSuccess {Object} sources Rutas fijadas por variable de entorno:
+   *   { "serial.port": { variable: "DATAFONO_PORT", source: ".env" } }
+   */
+  router.get("/config", isAdmin, (req, res) => {
+    res.json({
+      status: "ok",
+      config: maskSecrets(config),
+      sources: configSources,
+    });
+  });
 
-      // Generar transactionId si no se proporciona
-      const transactionId =
-        value.transactionId || `T${Date.now().toString().slice(-9)}`;
+  /**
+   * @api {get} /trace Estado de la traza del protocolo
+   * @apiName TraceStatus
+   * @apiGroup Soporte
+   * @apiPermission admin
+   *
+   * @apiSuccess {Object} trace active, file, expiresAt, maxMinutes y retentionHours
+   */
+  router.get("/trace", isAdmin, (req, res) => {
+    res.json({ status: "ok", trace: protocolTrace.getStatus() });
+  });
 
-      // PASO 1: Enviar trama de handshake (mensaje inicial corto)
-      logger.info("Enviando handshake inicial al datáfono...");
-      const handshakeFrame = tefProtocol.buildHandshakeFrame(value.sendPan);
+  /**
+   * @api {post} /trace Activa o detiene la traza del protocolo
+   * @apiName Trace
+   * @apiGroup Soporte
+   * @apiPermission admin
+   * @apiDescription Mientras está activa, las tramas se escriben completas (sin ocultar
+   *   datos de tarjeta) en logging.trace.dir. Se detiene sola al vencer.
+   *
+   * @apiBody {Boolean} enabled true para iniciar (o reiniciar), false para detener
+   * @apiBody {Number} [minutes=logging.trace.maxMinutes] Duración, sin superar maxMinutes
+   */
+  router.post("/trace", isAdmin, (req, res) => {
+    const { error, value } = traceSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        status: "error",
+        message: error.details[0].message,
+      });
+    }
 
-      console.log("=== HANDSHAKE FRAME ===");
-      console.log("Hex:", handshakeFrame.toString("hex"));
-      console.log("Length:", handshakeFrame.length, "bytes");
-      console.log("=======================");
+    logger.warn(
+      `Traza del protocolo ${value.enabled ? "solicitada" : "detenida"} por ${req.auth?.keyId ?? "sin autenticación"}`,
+    );
+    const trace = value.enabled
+      ? protocolTrace.start(value.minutes)
+      : protocolTrace.stop();
+    res.json({ status: "ok", trace });
+  });
 
-      // Enviar handshake y esperar respuesta
-      const handshakeResponse = await serialManager.sendAndReceive(
-        handshakeFrame,
-        30000,
-      );
-      logger.info("Handshake completado, enviando datos de compra...");
+  /**
+   * Construye la trama de compra, la ejecuta y formatea el resultado
+   */
+  async function processPurchase(value, transactionId, idempotencyKey) {
+    // Construir trama de compra completa
+    const purchaseFrame = tefProtocol.buildPurchaseFrame({
+      ...value,
+      transactionId,
+    });
 
-      // PASO 2: Construir y enviar trama de compra completa
-      const purchaseFrame = tefProtocol.buildPurchaseFrame({
-        ...value,
+    // Handshake + compra, esperando la respuesta final del datáfono
+    const response = await executeTransaction(purchaseFrame, "compra", {
+      transactionId,
+      type: "purchase",
+      deviceId: value.deviceId,
+      timeout: value.timeout,
+      idempotencyKey,
+      amount: value.amount,
+      tax: value.tax,
+      tip: value.tip,
+      terminalId: value.terminalId,
+      cashierId: value.cashierId,
+    });
+
+    logger.info("Compra procesada", {
+      transactionId,
+      success: response.success,
+      amount: value.amount,
+    });
+
+    return formatTransactionResponse(response, {
+      transactionId,
+      terminalId: value.terminalId,
+      cashierId: value.cashierId,
+    });
+  }
+
+  /**
+   * Respuesta 202 con los enlaces para seguir una transacción asíncrona
+   */
+  function acceptedResponse(transactionId) {
+    // EventSource no envía headers: el enlace del stream lleva su propio token
+    const query = auth.enabled
+      ? `?token=${auth.issueStreamToken(transactionId)}`
+      : "";
+    return {
+      status: "accepted",
+      message: "Transacción en proceso",
+      transactionId,
+      links: {
+        self: `/api/transactions/${transactionId}`,
+        events: `/api/transactions/${transactionId}/events${query}`,
+      },
+    };
+  }
+
+  /**
+   * Construye la trama de anulación, la ejecuta y formatea el resultado
+   * extra: datos adicionales para el diario (p. ej. autoVoidOf en la anulación automática)
+   * options: opciones de executeTransaction (exclusive en la anulación automática)
+   */
+  async function processVoid(value, transactionId, extra = {}, options = {}) {
+    const voidFrame = tefProtocol.buildVoidFrame({
+      ...value,
+      transactionId,
+    });
+
+    // Misma secuencia que la compra: handshake + anulación
+    const response = await executeTransaction(
+      voidFrame,
+      "anulación",
+      {
         transactionId,
+        type: "void",
+        deviceId: value.deviceId,
+        timeout: value.timeout,
+        originalReceiptNumber: value.receiptNumber,
+        terminalId: value.terminalId,
+        cashierId: value.cashierId,
+        ...extra,
+      },
+      options,
+    );
+
+    const webResponse = formatTransactionResponse(response, {
+      transactionId,
+      terminalId: value.terminalId,
+      cashierId: value.cashierId,
+    });
+    webResponse.data.originalReceiptNumber = value.receiptNumber;
+
+    logger.info("Anulación procesada", {
+      transactionId,
+      receiptNumber: value.receiptNumber,
+      success: response.success,
+    });
+
+    return webResponse;
+  }
+
+  /**
+   * Construye la trama de avance en efectivo, la ejecuta y formatea el resultado
+   */
+  async function processCashAdvance(value, transactionId) {
+    const cashAdvanceFrame = tefProtocol.buildCashAdvanceFrame({
+      ...value,
+      transactionId,
+    });
+
+    const response = await executeTransaction(cashAdvanceFrame, "avance", {
+      transactionId,
+      type: "cashAdvance",
+      deviceId: value.deviceId,
+      timeout: value.timeout,
+      amount: value.amount,
+      terminalId: value.terminalId,
+      cashierId: value.cashierId,
+    });
+
+    logger.info("Avance en efectivo procesado", {
+      transactionId,
+      success: response.success,
+      amount: value.amount,
+    });
+
+    return formatTransactionResponse(response, {
+      transactionId,
+      terminalId: value.terminalId,
+      cashierId: value.cashierId,
+    });
+  }
+
+  /**
+   * Construye la trama de compra con cupón, la ejecuta y formatea el resultado
+   */
+  async function processCouponPurchase(value, transactionId) {
+    const couponFrame = tefProtocol.buildCouponPurchaseFrame({
+      ...value,
+      transactionId,
+    });
+
+    const response = await executeTransaction(couponFrame, "compra con cupón", {
+      transactionId,
+      type: "couponPurchase",
+      deviceId: value.deviceId,
+      timeout: value.timeout,
+      amount: value.amount,
+      tax: value.tax,
+      couponCode: value.couponCode,
+      terminalId: value.terminalId,
+      cashierId: value.cashierId,
+    });
+
+    logger.info("Compra con cupón procesada", {
+      transactionId,
+      success: response.success,
+      amount: value.amount,
+    });
+
+    const webResponse = formatTransactionResponse(response, {
+      transactionId,
+      terminalId: value.terminalId,
+      cashierId: value.cashierId,
+    });
+    const tx = response.transactionData || {};
+    webResponse.data.couponCode = tx.couponCode || value.couponCode;
+    webResponse.data.discount = tx.discount;
+    return webResponse;
+  }
+
+  /**
+   * Construye la trama de recarga de bono, la ejecuta y formatea el resultado
+   */
+  async function processBondRecharge(value, transactionId) {
+    const bondFrame = tefProtocol.buildBondRechargeFrame({
+      ...value,
+      transactionId,
+    });
+
+    const response = await executeTransaction(bondFrame, "recarga de bono", {
+      transactionId,
+      type: "bondRecharge",
+      deviceId: value.deviceId,
+      timeout: value.timeout,
+      amount: value.amount,
+      bondNumber: value.bondNumber,
+      terminalId: value.terminalId,
+      cashierId: value.cashierId,
+    });
+
+    logger.info("Recarga de bono procesada", {
+      transactionId,
+      success: response.success,
+      amount: value.amount,
+    });
+
+    const webResponse = formatTransactionResponse(response, {
+      transactionId,
+      terminalId: value.terminalId,
+      cashierId: value.cashierId,
+    });
+    const tx = response.transactionData || {};
+    webResponse.data.bondNumber = tx.bondNumber || value.bondNumber;
+    webResponse.data.bondBalance = tx.bondBalance;
+    return webResponse;
+  }
+
+  /**
+   * Construye la trama de consulta de saldo, la ejecuta y formatea el resultado
+   */
+  async function processBalanceInquiry(value, transactionId) {
+    const balanceFrame = tefProtocol.buildBalanceInquiryFrame({
+      ...value,
+      transactionId,
+    });
+
+    const response = await executeTransaction(
+      balanceFrame,
+      "consulta de saldo",
+      {
+        transactionId,
+        type: "balance",
+        deviceId: value.deviceId,
+        timeout: value.timeout,
+        terminalId: value.terminalId,
+        cashierId: value.cashierId,
+      },
+    );
+
+    const balanceData = tefProtocol.extractBalanceData(response);
+    const responseCode = balanceData.responseCode || response.errorCode;
+    const approved = response.success === true;
+
+    logger.info("Consulta de saldo procesada", {
+      transactionId,
+      success: response.success,
+    });
+
+    return {
+      status: approved ? "approved" : "rejected",
+      message: approved
+        ? "Consulta de saldo aprobada"
+        : tefProtocol.getResponseMessage(responseCode),
+      data: {
+        success: approved,
+        ...balanceData,
+        // Un rechazo (PIN incorrecto, tarjeta inválida…) no informa saldo
+        balance: approved ? balanceData.balance : null,
+        responseCode,
+        transactionId,
+        terminalId: value.terminalId,
+        cashierId: value.cashierId,
+      },
+    };
+  }
+
+  /**
+   * Compara los totales del cierre del datáfono con las transacciones aprobadas del diario
+   */
+  function reconcileClose(terminalTotals, bridgeTotals) {
+    const mismatches = [];
+    const differs = (a, b) => a.count !== b.count || a.amount !== b.amount;
+    const empty = { count: 0, amount: 0 };
+
+    const franchises = new Set(
+      [...terminalTotals.franchises, ...bridgeTotals.franchises].map(
+        ({ franchise }) => franchise,
+      ),
+    );
+
+    for (const franchise of franchises) {
+      const find = (totals) =>
+        totals.franchises.find((item) => item.franchise === franchise) ||
+        empty;
+      const terminal = find(terminalTotals);
+      const bridge = find(bridgeTotals);
+
+      if (differs(terminal, bridge)) {
+        mismatches.push({
+          type: "franchise",
+          franchise,
+          terminal: { count: terminal.count, amount: terminal.amount },
+          bridge: { count: bridge.count, amount: bridge.amount },
+        });
+      }
+    }
+
+    if (differs(terminalTotals.voids, bridgeTotals.voids)) {
+      mismatches.push({
+        type: "voids",
+        terminal: terminalTotals.voids,
+        bridge: bridgeTotals.voids,
       });
+    }
 
-      console.log("=== PURCHASE FRAME ===");
-      console.log("Hex:", purchaseFrame.toString("hex"));
-      console.log("Length:", purchaseFrame.length, "bytes");
-      console.log("======================");
+    return {
+      matched: mismatches.length === 0,
+      mismatches,
+      bridge: bridgeTotals,
+    };
+  }
 
-      // Enviar compra y esperar respuesta final
-      const response = await serialManager.sendAndReceive(
-        purchaseFrame,
-        120000,
-      );
+  /**
+   * Construye la trama de cierre, la ejecuta y concilia los totales con el diario
+   * El periodo conciliado empieza a medianoche o en el último cierre del día
+   */
+  async function processClose(value, transactionId) {
+    const closeFrame = tefProtocol.buildCloseFrame({
+      ...value,
+      transactionId,
+    });
 
-      const tx = response.transactionData || {};
-
-      // Formatear respuesta para la web
-      const webResponse = {
-        status: response.success === true ? "approved" : "rejected",
-        message: response.message || "Transacción procesada",
-        data: {
-          success: response.success === true,
-          authCode: tx.authorizationCode || response.authCode,
-          responseCode: tx.responseCode || response.responseCode,
-          amount: tx.amount || response.amount,
-          transactionId,
-          terminalId: value.terminalId,
-          cashierId: value.cashierId,
-          date: tx.date,
-          time: tx.time,
-          franchise: tx.franchise,
-          receiptNumber: tx.receiptNumber,
-          accountType: tx.accountType,
-          last4: tx.last4,
-          quotas: tx.quotas,
+    const startOfDay = new Date();
+    startOfDay.setHours(0, 0, 0, 0);
+    const lastClose = journal.getLastClose(value.deviceId);
+    const from =
+      lastClose && new Date(lastClose.updatedAt) > startOfDay
+        ? new Date(lastClose.updatedAt)
+        : startOfDay;
+
+    let closeReport = null;
+    const response = await executeTransaction(
+      closeFrame,
+      "cierre",
+      {
+        transactionId,
+        type: "close",
+        deviceId: value.deviceId,
+        timeout: value.timeout,
+        terminalId: value.terminalId,
+        cashierId: value.cashierId,
+      },
+      {
+        resultData: (response) => {
+          if (!response.success) return {};
+
+          const totals = tefProtocol.parseCloseTotals(response);
+          closeReport = {
+            period: { from: from.toISOString(), to: new Date().toISOString() },
+            totals,
+            reconciliation: reconcileClose(
+              totals,
+              journal.getApprovedTotals(from, value.deviceId),
+            ),
+          };
+          return { closeReport };
         },
-      };
+      },
+    );
 
-      // Compatibilidad retroactiva: si viene estructura antigua con fields, usarla como fallback
-      const legacyFields = response.fields || {};
-      logger.info("Campos legacy recibidos:", legacyFields);
-      if (!webResponse.data.franchise && legacyFields["3F"]) {
-        webResponse.data.franchise = legacyFields["3F"].ascii;
-      }
-      if (!webResponse.data.receiptNumber && legacyFields["3433"]) {
-        webResponse.data.receiptNumber = legacyFields["3433"].ascii;
-      }
-      if (!webResponse.data.accountType && legacyFields["32"]) {
-        webResponse.data.accountType = legacyFields["32"].ascii;
+    const tx = response.transactionData || {};
+    const responseCode = tx.responseCode || response.errorCode;
+
+    if (closeReport && !closeReport.reconciliation.matched) {
+      logger.warn("Cierre con diferencias frente al diario", {
+        transactionId,
+        mismatches: closeReport.reconciliation.mismatches,
+      });
+    }
+
+    logger.info("Cierre procesado", {
+      transactionId,
+      success: response.success,
+    });
+
+    return {
+      status: response.success === true ? "approved" : "rejected",
+      message:
+        response.success === true
+          ? "Cierre aprobado"
+          : tefProtocol.getResponseMessage(responseCode),
+      data: {
+        success: response.success === true,
+        responseCode,
+        transactionId,
+        terminalId: value.terminalId,
+        cashierId: value.cashierId,
+        date: tx.date,
+        time: tx.time,
+        ...closeReport,
+      },
+    };
+  }
+
+  /**
+   * Reconstruye la respuesta web de una transacción finalizada del diario
+   */
+  function formatStoredTransaction(tx) {
+    return formatTransactionResponse(
+      {
+        success: tx.state === STATES.APPROVED,
+        message: tx.message,
+        transactionData: tx.transactionData,
+        resolvedBy: tx.resolvedBy,
+        autoVoid: tx.autoVoid,
+      },
+      {
+        transactionId: tx.transactionId,
+        terminalId: tx.terminalId,
+        cashierId: tx.cashierId,
+      },
+    );
+  }
+
+  /**
+   * @api {post} /purchase Iniciar transacción de compra
+   * @apiName Purchase
+   * @apiGroup Transactions
+   * @apiPermission purchase
+   *
+   * @apiBody {Number} amount Monto en centavos (ej: 100000)
+   * @apiBody {Number} [tax=0] IVA en centavos
+   * @apiBody {String} [terminalId="001"] Número de caja
+   * @apiBody {String} [deviceId] Datáfono (por defecto el asignado a la caja en config.devices)
+   * @apiBody {Number} [timeout] Plazo total en ms, entre tef.timeouts.minRequest y el configurado
+   * @apiBody {String} [transactionId] ID único de transacción
+   * @apiBody {String} [cashierId="OSCROM"] ID del cajero
+   * @apiBody {Number} [tip=0] Propina en centavos
+   * @apiBody {Number} [iac=100] Valor IAC
+   * @apiBody {Boolean} [sendPan=true] Solicitar envío de PAN
+   * @apiBody {Boolean} [async=false] Responder 202 de inmediato y seguir el progreso por SSE
+   *
+   * @apiHeader {String} X-Api-Key Llave del kiosko (o Authorization: Bearer, o firma HMAC con
+   *   X-Key-Id, X-Timestamp, X-Nonce y X-Signature). 401 sin llave válida, 403 sin el scope.
+   * @apiHeader {String} [Idempotency-Key] Clave única de la compra (por defecto transactionId).
+   *   Un reintento con la misma clave comparte el resultado en curso o devuelve el ya guardado
+   *   (header de respuesta Idempotent-Replayed: true); con otro monto responde 409.
+   *
+   * @apiSuccess {String} status "ok" o "error"
+   * @apiSuccess {String} message Descripción del resultado
+   * @apiSuccess {Object} data Datos de la transacción
+   * @apiSuccess {Boolean} data.success Indica si fue aprobada
+   * @apiSuccess {String} data.authCode Código de autorización
+   * @apiSuccess {String} data.responseCode Código de respuesta (00=aprobado)
+   * @apiSuccess {Number} data.amount Monto autorizado en centavos
+   * @apiSuccess {String} [data.franchise] Franquicia (VISA, MC, etc.)
+   * @apiSuccess {String} [data.receiptNumber] Número de recibo
+   * @apiSuccess {String} [data.accountType] Tipo de cuenta (CR=Crédito, DB=Débito)
+   * @apiSuccess {String} [data.last4] Últimos 4 dígitos de tarjeta
+   * @apiSuccess {String} data.date Fecha de transacción (AAAA-MM-DD)
+   * @apiSuccess {String} data.time Hora de transacción (HH:MM)
+   * @apiSuccess {Object} [outcome] Solo si el resultado se recuperó tras un timeout (tef.unknownOutcome)
+   * @apiSuccess {Boolean} outcome.charged Si el cliente quedó cobrado
+   * @apiSuccess {Boolean} outcome.reversed Si la aprobación tardía se anuló automáticamente
+   *
+   * @apiError (502) {String} status "unknown": no se sabe si hubo cobro (outcome.charged null)
+   * @apiError (504) {String} code NOT_PROCESSED: el datáfono confirmó que no la registró
+   * @apiError (504) {String} code RESPONSE_TIMEOUT: venció el handshake (no hubo cobro)
+   * @apiError {String} [phase] Fase cuyo plazo venció: ack, handshake, card o authorization
+   * @apiError {Number} [timeout] Plazo de esa fase en ms
+   * @apiError (400) {String} code INVALID_TIMEOUT: timeout fuera del rango permitido
+   * @apiError (404) {String} code DEVICE_NOT_FOUND: ningún datáfono para deviceId o la caja
+   */
+  router.post("/purchase", canPurchase, async (req, res) => {
+    try {
+      // Validar entrada
+      const { error, value } = purchaseSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          status: "error",
+          message: error.details[0].message,
+        });
       }
-      if (!webResponse.data.last4 && legacyFields["36"]) {
-        webResponse.data.last4 = legacyFields["36"].ascii;
+
+      // Datáfono que atiende la caja (DEVICE_NOT_FOUND si no hay)
+      value.deviceId = devices.resolve(value).id;
+      // Plazo fuera de rango: 400 INVALID_TIMEOUT antes de responder 202
+      TransactionTimeouts.resolve(
+        devices.get(value.deviceId).serialManager.tefConfig,
+        "purchase",
+        value.timeout,
+      );
+      logger.warn("Procesando compra", {
+        amount: value.amount,
+        terminalId: value.terminalId,
+        cashierId: value.cashierId,
+      });
+
+      logger.warn("Solicitud de compra recibida", value);
+
+      // Modo asíncrono: body { async: true } o header "Prefer: respond-async"
+      const asyncMode =
+        value.async || /respond-async/i.test(req.get("Prefer") || "");
+
+      // Idempotencia: el front PHP reintenta la petición cuando el navegador hace timeout
+      const idempotencyKey = req.get("Idempotency-Key") || value.transactionId;
+      let previousAttempt = null;
+
+      if (idempotencyKey) {
+        const inFlight = inFlightPurchases.get(idempotencyKey);
+        const stored = inFlight
+          ? null
+          : journal.findByIdempotencyKey(idempotencyKey) ||
+            journal.get(value.transactionId);
+        const retryable = !stored || TransactionJournal.isRetryable(stored);
+
+        // El ID ya es de otra operación (avance, anulación…)
+        if (stored && stored.type !== "purchase") {
+          return res.status(409).json({
+            status: "error",
+            message: `La transacción ${stored.transactionId} ya existe (${stored.type}, ${stored.state})`,
+            code: "TRANSACTION_EXISTS",
+          });
+        }
+
+        if (
+          (inFlight && inFlight.amount !== value.amount) ||
+          (!retryable && stored.amount !== value.amount) ||
+          (!retryable &&
+            (stored.idempotencyKey ?? stored.transactionId) !== idempotencyKey)
+        ) {
+          return res.status(409).json({
+            status: "error",
+            message: `La transacción ${idempotencyKey} ya existe con datos diferentes`,
+            code: "IDEMPOTENCY_CONFLICT",
+          });
+        }
+
+        // Misma compra en curso: esperar y compartir su resultado
+        if (inFlight && asyncMode) {
+          res.set("Idempotent-Replayed", "true");
+          return res
+            .status(202)
+            .json(acceptedResponse(inFlight.transactionId));
+        }
+        if (inFlight) {
+          logger.info(`Compra ${idempotencyKey} en curso, esperando resultado`);
+          const webResponse = await inFlight.promise;
+          res.set("Idempotent-Replayed", "true");
+          return res.json(webResponse);
+        }
+
+        // Compra ya finalizada: devolver el resultado guardado sin tocar el datáfono
+        if (
+          stored &&
+          (stored.state === STATES.APPROVED || stored.state === STATES.DECLINED)
+        ) {
+          logger.info(
+            `Compra ${idempotencyKey} ya procesada, reenviando resultado`,
+          );
+          res.set("Idempotent-Replayed", "true");
+          return res.json(formatStoredTransaction(stored));
+        }
+
+        // Resultado indeterminado: reintentar podría cobrar dos veces
+        if (!retryable) {
+          return res.status(409).json({
+            status: "error",
+            message: `La transacción ${stored.transactionId} tiene resultado desconocido (${stored.state}); requiere conciliación antes de reintentar`,
+            code: "TRANSACTION_UNKNOWN",
+            transactionId: stored.transactionId,
+          });
+        }
+
+        // Un intento FAILED (o cancelado en cola/handshake) no llegó al datáfono: se reintenta con el mismo ID
+        previousAttempt = stored;
       }
-      if (!webResponse.data.quotas && legacyFields["3531"]) {
-        webResponse.data.quotas = legacyFields["3531"].ascii;
+
+      // Generar transactionId si no se proporciona
+      const transactionId =
+        value.transactionId ||
+        previousAttempt?.transactionId ||
+        generateTransactionId("T");
+
+      const purchase = publishOutcome(
+        transactionId,
+        processPurchase(value, transactionId, idempotencyKey),
+      );
+      if (idempotencyKey) {
+        inFlightPurchases.set(idempotencyKey, {
+          amount: value.amount,
+          transactionId,
+          promise: purchase,
+        });
+        purchase
+          .finally(() => inFlightPurchases.delete(idempotencyKey))
+          .catch(() => {});
       }
 
-      if (legacyFields["95"]) {
-        webResponse.data.maskedPan = legacyFields["95"].ascii;
+      // Modo asíncrono: el resultado se entrega por SSE
+      if (asyncMode) {
+        purchase.catch(() => {});
+        return res.status(202).json(acceptedResponse(transactionId));
       }
-      if (legacyFields["43"]) {
-        webResponse.data.receiptNumber = legacyFields["43"].ascii;
+
+      res.json(await purchase);
+    } catch (error) {
+      logger.error("Error en endpoint /purchase:", error);
+
+      res.status(httpStatusFor(error)).json(errorBody(error));
+    }
+  });
+
+  /**
+   * @api {post} /reversal Anular transacción
+   * @apiName Reversal
+   * @apiGroup Transactions
+   * @apiPermission void
+   *
+   * @apiBody {String} receiptNumber Número de recibo de la compra original (6 dígitos)
+   * @apiBody {String} [terminalId="001"] Número de caja
+   * @apiBody {String} [deviceId] Datáfono (por defecto el asignado a la caja en config.devices)
+   * @apiBody {Number} [timeout] Plazo total en ms, entre tef.timeouts.minRequest y el configurado
+   * @apiBody {String} [transactionId] ID único de la anulación
+   * @apiBody {String} [cashierId="OSCROM"] ID del cajero
+   *
+   * @apiSuccess {String} status "approved" o "rejected"
+   * @apiSuccess {Object} data Datos devueltos por el datáfono (mismo formato que /purchase)
+   * @apiSuccess {String} data.originalReceiptNumber Recibo de la compra anulada
+   */
+  router.post("/reversal", canVoid, async (req, res) => {
+    try {
+      const { error, value } = reversalSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          status: "error",
+          message: error.details[0].message,
+        });
       }
-      if (legacyFields["46"]) {
-        webResponse.data.transactionDate = legacyFields["46"].ascii;
+
+      // Datáfono que atiende la caja (DEVICE_NOT_FOUND si no hay)
+      value.deviceId = devices.resolve(value).id;
+
+      // Generar transactionId si no se proporciona
+      const transactionId = value.transactionId || generateTransactionId("A");
+
+      logger.info("Procesando anulación", {
+        receiptNumber: value.receiptNumber,
+        terminalId: value.terminalId,
+        cashierId: value.cashierId,
+      });
+
+      const webResponse = await publishOutcome(
+        transactionId,
+        processVoid(value, transactionId),
+      );
+
+      res.json(webResponse);
+    } catch (error) {
+      logger.error(`Error en endpoint /reversal: ${error.message}`);
+      res.status(httpStatusFor(error)).json(errorBody(error));
+    }
+  });
+
+  /**
+   * @api {post} /cash-advance Avance en efectivo
+   * @apiName CashAdvance
+   * @apiGroup Transactions
+   * @apiPermission purchase
+   *
+   * @apiBody {Number} amount Monto del avance en centavos
+   * @apiBody {String} [terminalId="001"] Número de caja
+   * @apiBody {String} [deviceId] Datáfono (por defecto el asignado a la caja en config.devices)
+   * @apiBody {Number} [timeout] Plazo total en ms, entre tef.timeouts.minRequest y el configurado
+   * @apiBody {String} [transactionId] ID único del avance
+   * @apiBody {String} [cashierId="OSCROM"] ID del cajero
+   *
+   * @apiSuccess {String} status "approved" o "rejected"
+   * @apiSuccess {Object} data Datos devueltos por el datáfono (mismo formato que /purchase)
+   */
+  router.post("/cash-advance", canPurchase, async (req, res) => {
+    try {
+      const { error, value } = cashAdvanceSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          status: "error",
+          message: error.details[0].message,
+        });
       }
-      if (legacyFields["47"]) {
-        webResponse.data.transactionTime = legacyFields["47"].ascii;
+
+      // Datáfono que atiende la caja (DEVICE_NOT_FOUND si no hay)
+      value.deviceId = devices.resolve(value).id;
+
+      // Generar transactionId si no se proporciona
+      const transactionId = value.transactionId || generateTransactionId("V");
+
+      logger.info("Procesando avance en efectivo", {
+        amount: value.amount,
+        terminalId: value.terminalId,
+        cashierId: value.cashierId,
+      });
+
+      const webResponse = await publishOutcome(
+        transactionId,
+        processCashAdvance(value, transactionId),
+      );
+
+      res.json(webResponse);
+    } catch (error) {
+      logger.error(`Error en endpoint /cash-advance: ${error.message}`);
+      res.status(httpStatusFor(error)).json(errorBody(error));
+    }
+  });
+
+  /**
+   * @api {post} /coupon-purchase Compra con cupón
+   * @apiName CouponPurchase
+   * @apiGroup Transactions
+   * @apiPermission purchase
+   *
+   * @apiBody {Number} amount Monto en centavos antes del descuento
+   * @apiBody {Number} [tax=0] IVA en centavos
+   * @apiBody {String} couponCode Código del cupón (alfanumérico, máx. 20)
+   * @apiBody {String} [terminalId="001"] Número de caja
+   * @apiBody {String} [deviceId] Datáfono (por defecto el asignado a la caja en config.devices)
+   * @apiBody {Number} [timeout] Plazo total en ms, entre tef.timeouts.minRequest y el configurado
+   * @apiBody {String} [transactionId] ID único de transacción
+   * @apiBody {String} [cashierId="OSCROM"] ID del cajero
+   *
+   * @apiSuccess {String} status "approved" o "rejected"
+   * @apiSuccess {Object} data Mismo formato que /purchase
+   * @apiSuccess {String} data.couponCode Cupón aplicado
+   * @apiSuccess {Number} data.discount Descuento aplicado en centavos
+   */
+  router.post("/coupon-purchase", canPurchase, async (req, res) => {
+    try {
+      const { error, value } = couponPurchaseSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          status: "error",
+          message: error.details[0].message,
+        });
       }
 
-      logger.info("Compra procesada", {
+      // Datáfono que atiende la caja (DEVICE_NOT_FOUND si no hay)
+      value.deviceId = devices.resolve(value).id;
+
+      // Generar transactionId si no se proporciona
+      const transactionId = value.transactionId || generateTransactionId("K");
+
+      logger.info("Procesando compra con cupón", {
+        amount: value.amount,
+        couponCode: value.couponCode,
+        terminalId: value.terminalId,
+      });
+
+      const webResponse = await publishOutcome(
         transactionId,
-        success: response.success,
+        processCouponPurchase(value, transactionId),
+      );
+
+      res.json(webResponse);
+    } catch (error) {
+      logger.error(`Error en endpoint /coupon-purchase: ${error.message}`);
+      res.status(httpStatusFor(error)).json(errorBody(error));
+    }
+  });
+
+  /**
+   * @api {post} /bond-recharge Recarga de bono
+   * @apiName BondRecharge
+   * @apiGroup Transactions
+   * @apiPermission purchase
+   *
+   * @apiBody {Number} amount Monto a recargar en centavos
+   * @apiBody {String} bondNumber Número del bono (solo dígitos, máx. 20)
+   * @apiBody {String} [terminalId="001"] Número de caja
+   * @apiBody {String} [deviceId] Datáfono (por defecto el asignado a la caja en config.devices)
+   * @apiBody {Number} [timeout] Plazo total en ms, entre tef.timeouts.minRequest y el configurado
+   * @apiBody {String} [transactionId] ID único de transacción
+   * @apiBody {String} [cashierId="OSCROM"] ID del cajero
+   *
+   * @apiSuccess {String} status "approved" o "rejected"
+   * @apiSuccess {Object} data Mismo formato que /purchase
+   * @apiSuccess {String} data.bondNumber Bono recargado
+   * @apiSuccess {Number} data.bondBalance Saldo del bono después de la recarga (centavos)
+   */
+  router.post("/bond-recharge", canPurchase, async (req, res) => {
+    try {
+      const { error, value } = bondRechargeSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          status: "error",
+          message: error.details[0].message,
+        });
+      }
+
+      // Datáfono que atiende la caja (DEVICE_NOT_FOUND si no hay)
+      value.deviceId = devices.resolve(value).id;
+
+      // Generar transactionId si no se proporciona
+      const transactionId = value.transactionId || generateTransactionId("B");
+
+      logger.info("Procesando recarga de bono", {
         amount: value.amount,
+        bondNumber: value.bondNumber,
+        terminalId: value.terminalId,
       });
 
+      const webResponse = await publishOutcome(
+        transactionId,
+        processBondRecharge(value, transactionId),
+      );
+
       res.json(webResponse);
     } catch (error) {
-      logger.error("Error en endpoint /purchase:", error);
+      logger.error(`Error en endpoint /bond-recharge: ${error.message}`);
+      res.status(httpStatusFor(error)).json(errorBody(error));
+    }
+  });
 
-      res.status(500).json({
-        status: "error",
-        message: error.message,
-        code: error.code || "INTERNAL_ERROR",
+  /**
+   * @api {post} /balance Consulta de saldo
+   * @apiName BalanceInquiry
+   * @apiGroup Transactions
+   * @apiPermission purchase
+   *
+   * @apiBody {String} [terminalId="001"] Número de caja
+   * @apiBody {String} [deviceId] Datáfono (por defecto el asignado a la caja en config.devices)
+   * @apiBody {Number} [timeout] Plazo total en ms, entre tef.timeouts.minRequest y el configurado
+   * @apiBody {String} [transactionId] ID único de la consulta
+   * @apiBody {String} [cashierId="OSCROM"] ID del cajero
+   *
+   * @apiSuccess {String} status "approved" o "rejected"
+   * @apiSuccess {Object} data Datos devueltos por el datáfono
+   * @apiSuccess {Number} data.balance Saldo disponible en centavos
+   * @apiSuccess {String} data.accountType Tipo de cuenta (CR=Crédito, DB=Débito…)
+   * @apiSuccess {String} [data.franchise] Franquicia
+   * @apiSuccess {String} [data.last4] Últimos 4 dígitos de tarjeta
+   * @apiSuccess {String} data.responseCode Código de respuesta (00=aprobado)
+   */
+  router.post("/balance", canPurchase, async (req, res) => {
+    try {
+      const { error, value } = balanceSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          status: "error",
+          message: error.details[0].message,
+        });
+      }
+
+      // Datáfono que atiende la caja (DEVICE_NOT_FOUND si no hay)
+      value.deviceId = devices.resolve(value).id;
+
+      // Generar transactionId si no se proporciona
+      const transactionId = value.transactionId || generateTransactionId("S");
+
+      logger.info("Procesando consulta de saldo", {
+        terminalId: value.terminalId,
+        cashierId: value.cashierId,
       });
+
+      const webResponse = await publishOutcome(
+        transactionId,
+        processBalanceInquiry(value, transactionId),
+      );
+
+      res.json(webResponse);
+    } catch (error) {
+      logger.error(`Error en endpoint /balance: ${error.message}`);
+      res.status(httpStatusFor(error)).json(errorBody(error));
     }
   });
 
   /**
-   * @api {post} /reversal Anular transacción
-   * @apiName Reversal
+   * @api {post} /close Cierre integrado
+   * @apiName Close
    * @apiGroup Transactions
+   * @apiPermission close
+   *
+   * @apiDescription Liquida el lote del datáfono y concilia sus totales con las
+   *   transacciones aprobadas del diario desde medianoche (o desde el último cierre del día).
+   *   El reporte queda guardado en el diario (GET /transactions/:transactionId).
+   *
+   * @apiBody {String} [terminalId="001"] Número de caja
+   * @apiBody {String} [deviceId] Datáfono (por defecto el asignado a la caja en config.devices)
+   * @apiBody {Number} [timeout] Plazo total en ms, entre tef.timeouts.minRequest y el configurado
+   * @apiBody {String} [transactionId] ID único del cierre
+   * @apiBody {String} [cashierId="OSCROM"] ID del cajero
+   *
+   * @apiSuccess {String} status "approved" o "rejected"
+   * @apiSuccess {Object} data.totals Totales del datáfono: franchises[], voids, total
+   * @apiSuccess {Object} data.reconciliation matched, mismatches[] y totales del diario (bridge)
+   * @apiSuccess {Object} data.period Periodo conciliado (from, to)
    */
-  router.post("/reversal", async (req, res) => {
+  router.post("/close", canClose, async (req, res) => {
     try {
-      const { error, value } = reversalSchema.validate(req.body);
+      const { error, value } = closeSchema.validate(req.body);
       if (error) {
         return res.status(400).json({
           status: "error",
@@ -323,35 +1902,426 @@ export function createApiRouter(serialManager, tefProtocol) {
         });
       }
 
-      // TODO: Implementar lógica de anulación
-      // Similar a /purchase pero con header de anulación
+      // Datáfono que atiende la caja (DEVICE_NOT_FOUND si no hay)
+      value.deviceId = devices.resolve(value).id;
 
-      res.json({
-        status: "ok",
-        message: "Anulación iniciada (no implementada)",
-        data: value,
+      // Generar transactionId si no se proporciona
+      const transactionId = value.transactionId || generateTransactionId("C");
+
+      logger.info("Procesando cierre integrado", {
+        terminalId: value.terminalId,
+        cashierId: value.cashierId,
       });
+
+      const webResponse = await publishOutcome(
+        transactionId,
+        processClose(value, transactionId),
+      );
+
+      res.json(webResponse);
     } catch (error) {
-      logger.error("Error en endpoint /reversal:", error.message);
-      res.status(500).json({
+      logger.error(`Error en endpoint /close: ${error.message}`);
+      res.status(httpStatusFor(error)).json(errorBody(error));
+    }
+  });
+
+  /**
+   * Transacción del diario para las rutas /transactions/:transactionId
+   * Responde 404 si no existe y 403 TERMINAL_NOT_ALLOWED si es de una caja
+   * que la llave no tiene en terminalIds; en ambos casos retorna null
+   */
+  function findTransaction(req, res, transactionId) {
+    const tx = journal.get(transactionId);
+    if (!tx) {
+      res.status(404).json({
+        status: "error",
+        message: `Transacción no encontrada: ${transactionId}`,
+      });
+      return null;
+    }
+    if (!auth.allowsTerminal(req, tx.terminalId)) {
+      res.status(403).json({
+        status: "error",
+        message: `La llave ${req.auth.keyId} no puede acceder a la caja ${tx.terminalId}`,
+        code: "TERMINAL_NOT_ALLOWED",
+      });
+      return null;
+    }
+    return tx;
+  }
+
+  /**
+   * Resumen de una transacción del diario para listados
+   */
+  function summarizeTransaction(tx) {
+    return {
+      transactionId: tx.transactionId,
+      type: tx.type,
+      status: tx.state,
+      amount: tx.amount,
+      terminalId: tx.terminalId,
+      cashierId: tx.cashierId,
+      deviceId: tx.deviceId,
+      franchise: tx.transactionData?.franchise,
+      receiptNumber: tx.transactionData?.receiptNumber,
+      authCode: tx.transactionData?.authorizationCode,
+      responseCode: tx.responseCode,
+      last4: tx.transactionData?.last4,
+      needsReconciliation: Boolean(tx.needsReconciliation),
+      createdAt: tx.createdAt,
+      updatedAt: tx.updatedAt,
+    };
+  }
+
+  /**
+   * @api {get} /transactions Historial de transacciones
+   * @apiName ListTransactions
+   * @apiGroup Transactions
+   * @apiPermission apiKey
+   *
+   * @apiQuery {String} [from] Fecha inicial ISO 8601 (ej: 2026-02-26)
+   * @apiQuery {String} [to] Fecha final ISO 8601
+   * @apiQuery {String} [terminalId] Número de caja
+   * @apiQuery {String} [cashierId] ID del cajero
+   * @apiQuery {String} [deviceId] Datáfono
+   * @apiQuery {String} [status] APPROVED | DECLINED | FAILED | UNKNOWN | …
+   * @apiQuery {String} [franchise] Franquicia (VISA, MASTERCARD…)
+   * @apiQuery {Number} [page=1] Página
+   * @apiQuery {Number} [pageSize=50] Resultados por página (máx. 200)
+   */
+  router.get("/transactions", anyKey, (req, res) => {
+    const { error, value } = transactionsQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        status: "error",
+        message: error.details[0].message,
+      });
+    }
+
+    const { page, pageSize, ...filters } = value;
+    // Una llave con terminalIds solo ve el historial de sus cajas
+    filters.terminalIds = req.auth?.terminalIds;
+
+    // "to" solo con fecha (AAAA-MM-DD) incluye el día completo
+    if (filters.to && /^\d{4}-\d{2}-\d{2}$/.test(req.query.to)) {
+      filters.to = new Date(filters.to.getTime() + 24 * 60 * 60 * 1000 - 1);
+    }
+
+    const { total, items } = journal.query(filters, { page, pageSize });
+
+    res.json({
+      status: "ok",
+      total,
+      page,
+      pageSize,
+      transactions: items.map(summarizeTransaction),
+    });
+  });
+
+  /**
+   * @api {get} /transactions/:transactionId/events Progreso de una transacción (SSE)
+   * @apiName TransactionEvents
+   * @apiGroup Transactions
+   * @apiPermission apiKey
+   *
+   * @apiDescription Stream text/event-stream con las etapas: requested, handshake-sent,
+   *   handshake-ack, transaction-sent, waiting-for-card, response-received y result.
+   *   El evento result trae la misma respuesta que POST /purchase y cierra el stream.
+   *   Acepta los headers de autenticación o el ?token= del enlace links.events de la
+   *   respuesta 202 (EventSource no puede enviar headers).
+   */
+  router.get("/transactions/:transactionId/events", streamAuth, (req, res) => {
+    const { transactionId } = req.params;
+    const history = events.getHistory(transactionId);
+    const stored = journal.get(transactionId);
+
+    if (stored && !auth.allowsTerminal(req, stored.terminalId)) {
+      return res.status(403).json({
+        status: "error",
+        message: `La llave ${req.auth.keyId} no puede acceder a la caja ${stored.terminalId}`,
+        code: "TERMINAL_NOT_ALLOWED",
+      });
+    }
+
+    if (history.length === 0 && !stored) {
+      return res.status(404).json({
+        status: "error",
+        message: `Transacción no encontrada: ${transactionId}`,
+      });
+    }
+
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+    });
+    res.flushHeaders();
+
+    // Después del result el stream queda cerrado: no se escribe nada más
+    const send = (event) => {
+      if (res.writableEnded) return;
+      res.write(`id: ${event.id}\n`);
+      res.write(`event: ${event.stage}\n`);
+      res.write(`data: ${JSON.stringify(event)}\n\n`);
+      if (event.stage === "result") {
+        res.end();
+      }
+    };
+
+    // Transacción finalizada sin historial en memoria (p. ej. tras un reinicio)
+    if (history.length === 0) {
+      const finished =
+        stored.state === STATES.APPROVED || stored.state === STATES.DECLINED;
+      send({
+        id: 1,
+        transactionId,
+        stage: "result",
+        timestamp: stored.updatedAt,
+        data: finished
+          ? formatStoredTransaction(stored)
+          : {
+              status: "error",
+              message: stored.error || `Transacción en estado ${stored.state}`,
+              code: stored.errorCode || stored.state,
+            },
+      });
+      return;
+    }
+
+    // Reenviar etapas ya ocurridas y seguir en vivo
+    for (const event of history) {
+      send(event);
+      if (res.writableEnded) return;
+    }
+
+    const unsubscribe = events.subscribe(transactionId, send);
+    const keepAlive = setInterval(() => res.write(": keep-alive\n\n"), 15000);
+
+    res.on("close", () => {
+      clearInterval(keepAlive);
+      unsubscribe();
+    });
+  });
+
+  /**
+   * @api {post} /transactions/:transactionId/cancel Cancelar una transacción en curso
+   * @apiName CancelTransaction
+   * @apiGroup Transactions
+   * @apiPermission purchase | void | close
+   *
+   * @apiDescription Si la transacción está en cola se retira sin tocar el datáfono; si está
+   *   en curso se envía EOT al datáfono y la petición que la espera responde 409 con
+   *   status "cancelled" y code CANCELLED. El datáfono queda libre de inmediato, también
+   *   si se estaba resolviendo una respuesta perdida (poll o query). Si la trama de compra ya se había enviado, queda marcada para conciliación.
+   *
+   * @apiSuccess {String} status "cancelled"
+   * @apiSuccess {String} stage "queued" (estaba en cola) o "active" (en el datáfono)
+   */
+  router.post("/transactions/:transactionId/cancel", canCancel, (req, res) => {
+    const { transactionId } = req.params;
+    const tx = findTransaction(req, res, transactionId);
+    if (!tx) return;
+
+    const cancelled = devices.cancel(transactionId);
+    if (!cancelled) {
+      return res.status(409).json({
+        status: "error",
+        message: `La transacción ${transactionId} no está en curso (${tx.state})`,
+        code: "NOT_CANCELLABLE",
+        state: tx.state,
+      });
+    }
+
+    const { device, stage } = cancelled;
+    logger.warn(`Transacción ${transactionId} cancelada desde el kiosko`, {
+      deviceId: device.id,
+      stage,
+    });
+
+    res.json({
+      status: "cancelled",
+      message: "Transacción cancelada",
+      transactionId,
+      deviceId: device.id,
+      stage,
+    });
+  });
+
+  /**
+   * @api {get} /transactions/:transactionId/receipt Comprobante de una transacción
+   * @apiName GetReceipt
+   * @apiGroup Transactions
+   * @apiPermission apiKey
+   *
+   * @apiDescription Comprobante de una compra o anulación aprobada, armado con el
+   *   encabezado y los pies de config.receipts. Desde la segunda emisión de una
+   *   copia se marca "*** COPIA ***" (el conteo queda en el diario).
+   *
+   * @apiQuery {String} [format=text] text | escpos | html
+   * @apiQuery {Number} [width=40] Columnas de la impresora: 40 o 48
+   * @apiQuery {String} [copy=both] customer | merchant | both
+   *
+   * @apiSuccess {String} body Comprobante en text/plain, application/octet-stream
+   *   (ESC/POS) o text/html según format
+   * @apiError (409) RECEIPT_NOT_AVAILABLE No es una compra o anulación aprobada
+   */
+  router.get("/transactions/:transactionId/receipt", anyKey, (req, res) => {
+    const { error, value } = receiptQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        status: "error",
+        message: error.details[0].message,
+      });
+    }
+
+    const { transactionId } = req.params;
+    const tx = findTransaction(req, res, transactionId);
+    if (!tx) return;
+
+    const copies = value.copy === "both" ? ReceiptBuilder.COPIES : [value.copy];
+    const reprint = Object.fromEntries(
+      copies.map((copy) => [copy, (tx.receipts?.[copy] || 0) > 0]),
+    );
+
+    try {
+      const { contentType, body } = receiptBuilder.render(tx, {
+        format: value.format,
+        width: value.width,
+        copies,
+        reprint,
+      });
+
+      journal.recordReceipt(transactionId, copies);
+      logger.info(`Comprobante de ${transactionId} emitido`, {
+        format: value.format,
+        copies,
+        reprint: copies.some((copy) => reprint[copy]),
+      });
+
+      res.type(contentType).send(body);
+    } catch (error) {
+      if (error.code !== "RECEIPT_NOT_AVAILABLE") throw error;
+      res.status(409).json({
         status: "error",
         message: error.message,
+        code: error.code,
+        state: tx.state,
+      });
+    }
+  });
+
+  /**
+   * @api {get} /transactions/:transactionId Detalle de una transacción
+   * @apiName GetTransaction
+   * @apiGroup Transactions
+   * @apiPermission apiKey
+   *
+   * @apiSuccess {Object} transaction Estado actual, datos de la petición,
+   *   campos parseados de la respuesta e historial de estados
+   */
+  router.get("/transactions/:transactionId", anyKey, (req, res) => {
+    const tx = findTransaction(req, res, req.params.transactionId);
+    if (!tx) return;
+
+    res.json({
+      status: "ok",
+      transaction: {
+        ...summarizeTransaction(tx),
+        request: {
+          tax: tx.tax,
+          tip: tx.tip,
+          originalReceiptNumber: tx.originalReceiptNumber,
+        },
+        message: tx.message,
+        error: tx.error,
+        errorCode: tx.errorCode,
+        transactionData: tx.transactionData,
+        closeReport: tx.closeReport,
+        receipts: tx.receipts,
+        fields: tx.fields,
+        history: tx.history,
+      },
+    });
+  });
+
+  /**
+   * @api {post} /mock/scenario Programar escenario del datáfono simulado
+   * @apiName MockScenario
+   * @apiGroup Mock
+   * @apiPermission admin
+   *
+   * @apiBody {String} type approve | decline | timeout | badLrc | nack | malformed | lateResponse | lostResponse
+   * @apiBody {String} [code="51"] Código de respuesta para decline
+   * @apiBody {Number} [times=1] NACKs consecutivos para nack
+   * @apiBody {Number} [delay=150000] Milisegundos hasta la respuesta para lateResponse
+   * @apiBody {Boolean} [persistent=false] Aplicar a todas las transacciones siguientes
+   * @apiBody {String} [deviceId] Datáfono simulado (por defecto el único o el default)
+   */
+  router.post("/mock/scenario", isAdmin, (req, res) => {
+    const { error, value } = mockScenarioSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        status: "error",
+        message: error.details[0].message,
+      });
+    }
+
+    const { persistent, deviceId, ...scenario } = value;
+    let device;
+    try {
+      device = devices.resolve({ deviceId });
+    } catch (resolveError) {
+      return res
+        .status(httpStatusFor(resolveError))
+        .json(errorBody(resolveError));
+    }
+
+    const { simulator } = device.serialManager;
+    if (!simulator) {
+      return res.status(409).json({
+        status: "error",
+        message: "El simulador solo está disponible en modo mock",
       });
     }
+
+    if (persistent) {
+      simulator.setDefaultScenario(scenario);
+    } else {
+      simulator.queueScenario(scenario);
+    }
+
+    res.json({
+      status: "ok",
+      deviceId: device.id,
+      simulator: simulator.getStatus(),
+    });
   });
 
   /**
    * @api {get} /status Estado del servicio y conexión serial
    * @apiName Status
    * @apiGroup General
+   * @apiPermission apiKey
+   *
+   * @apiSuccess {Object} link Supervisor del enlace serial
+   * @apiSuccess {String} link.state CONNECTED | RECONNECTING | DISCONNECTED | STOPPED
+   * @apiSuccess {Number} link.attempts Intentos de reconexión desde la última conexión
+   * @apiSuccess {String} [link.nextAttemptAt] Próximo intento de reconexión
+   * @apiSuccess {Object} [link.lastProbe] Último sondeo de vida ({ at, ok, error })
+   * @apiSuccess {Object[]} devices Estado de cada datáfono; connected, port, link y queue
+   *   de primer nivel son los del datáfono default (null si hay varios sin default)
    */
-  router.get("/status", (req, res) => {
-    const status = serialManager.getStatus();
+  router.get("/status", anyKey, (req, res) => {
+    const status = devices.defaultDevice?.serialManager.getStatus() ?? {};
     res.json({
       status: "ok",
-      connected: status.connected,
-      port: status.port,
-      baudRate: status.baudRate,
+      connected: status.connected ?? null,
+      port: status.port ?? null,
+      baudRate: status.baudRate ?? null,
+      link: status.link ?? null,
+      queue: status.queue ?? null,
+      devices: devices.getStatus(),
+      pendingReconciliation: journal.getPendingReconciliation().length,
       uptime: process.uptime(),
       memory: process.memoryUsage(),
     });
@@ -5,6 +5,8 @@
 import fetch from 'node-fetch';
 
 const BASE_URL = 'http://localhost:3000';
+// Llave de un kiosko con scope purchase (ver api-keys.example.json)
+const API_KEY = process.env.TEF_API_KEY || '';
 
 async function testAPI() {
     console.log('=== PRUEBA API TEF BRIDGE ===\n');
@@ -23,7 +25,9 @@ async function testAPI() {
     
     // 2. Status
     console.log('\n2. Probando status...');
-    const status = await fetch(`${BASE_URL}/api/status`);
+    const status = await fetch(`${BASE_URL}/api/status`, {
+        headers: { 'X-Api-Key': API_KEY }
+    });
     const statusData = await status.json();
     console.log('   ✅ Status:', statusData);
     
@@ -42,7 +46,7 @@ async function testAPI() {
     
     const purchase = await fetch(`${BASE_URL}/api/purchase`, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: { 'Content-Type': 'application/json', 'X-Api-Key': API_KEY },
         body: JSON.stringify(purchaseData)
     });
     
@@ -0,0 +1,711 @@
+/**
+ * Pruebas de los endpoints HTTP contra el datáfono simulado
+ * Levanta el router en un Express real con un diario temporal y llaves de API
+ */
+
+import fs from "fs";
+import os from "os";
+import { join } from "path";
+import express from "express";
+import { DeviceRegistry } from "../lib/DeviceRegistry.js";
+import { ApiAuth } from "../lib/ApiAuth.js";
+import { TEFProtocol } from "../lib/TEFProtocol.js";
+import { TransactionJournal } from "../lib/TransactionJournal.js";
+import { TransactionEvents } from "../lib/TransactionEvents.js";
+import { createApiRouter } from "../routes/api.js";
+
+const ADMIN_KEY = "a".repeat(40);
+const KIOSK_KEY = "k".repeat(40);
+
+const config = {
+  serial: { port: "COM3", baudRate: 9600, probe: { interval: 0 } },
+  tef: {
+    mockMode: true,
+    mockResponseDelay: 100,
+    timeoutTransaction: 20000,
+    ackTimeout: 200,
+    maxRetries: 3,
+    // Las compras con respuesta perdida piden timeout corto
+    timeouts: { minRequest: 1000 },
+  },
+};
+
+const tmpDir = fs.mkdtempSync(join(os.tmpdir(), "tef-api-"));
+const keysPath = join(tmpDir, "api-keys.json");
+fs.writeFileSync(
+  keysPath,
+  JSON.stringify({
+    keys: [
+      { id: "admin", secret: ADMIN_KEY, scopes: ["*"] },
+      {
+        id: "kiosko-01",
+        secret: KIOSK_KEY,
+        scopes: ["purchase"],
+        terminalIds: ["001"],
+      },
+    ],
+  }),
+);
+
+let origin;
+let baseUrl;
+
+/**
+ * Petición a la API: retorna { status, headers, body } (body JSON si se puede)
+ * base: prefijo de la ruta (por defecto el router montado en /api)
+ */
+async function api(
+  method,
+  path,
+  { body, key = ADMIN_KEY, headers, base = baseUrl } = {},
+) {
+  const response = await fetch(`${base}${path}`, {
+    method,
+    headers: {
+      "Content-Type": "application/json",
+      "X-Api-Key": key,
+      ...headers,
+    },
+    body: body && JSON.stringify(body),
+    signal: AbortSignal.timeout(10000),
+  });
+  const text = await response.text();
+  let parsed = text;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    // Texto plano (comprobantes, SSE)
+  }
+  return { status: response.status, headers: response.headers, body: parsed };
+}
+
+// Eventos de un stream SSE ya cerrado por el servidor
+function parseEvents(text) {
+  return text
+    .split("\n\n")
+    .map((block) => /^data: (.*)$/m.exec(block)?.[1])
+    .filter(Boolean)
+    .map((data) => JSON.parse(data));
+}
+
+async function run() {
+  console.log("=== PRUEBA API HTTP ===\n");
+
+  const journal = new TransactionJournal(
+    join(tmpDir, "transactions.jsonl"),
+  ).load();
+  const events = new TransactionEvents();
+  const auth = new ApiAuth({ keysPath });
+  auth.load();
+  const devices = new DeviceRegistry(config);
+  await devices.start();
+  const { serialManager } = devices.resolve();
+
+  const app = express();
+  app.use(express.json());
+  app.use(
+    "/api",
+    createApiRouter(devices, TEFProtocol, { journal, events, auth, config }),
+  );
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, "127.0.0.1", () => resolve(listening));
+  });
+  origin = `http://127.0.0.1:${server.address().port}`;
+  baseUrl = `${origin}/api`;
+
+  const cases = [];
+
+  cases.push([
+    "SSE tras reintentar una compra FAILED: solo el intento nuevo, un result",
+    async () => {
+      await serialManager.disconnect();
+      const failed = await api("POST", "/purchase", {
+        body: { amount: 100000, transactionId: "SSE_001" },
+      });
+      await serialManager.connect();
+      const retried = await api("POST", "/purchase", {
+        body: { amount: 100000, transactionId: "SSE_001" },
+      });
+
+      const stream = await api("GET", "/transactions/SSE_001/events");
+      const received = parseEvents(stream.body);
+      const results = received.filter(({ stage }) => stage === "result");
+      return (
+        failed.status >= 500 &&
+        retried.body.status === "approved" &&
+        received[0]?.stage === "requested" &&
+        results.length === 1 &&
+        results[0].data.status === "approved"
+      );
+    },
+  ]);
+
+  cases.push([
+    "Llave con terminalIds: historial filtrado y 403 en transacciones de otra caja",
+    async () => {
+      for (const [transactionId, terminalId] of [
+        ["CAJA1_001", "001"],
+        ["CAJA2_001", "002"],
+      ]) {
+        await api("POST", "/purchase", {
+          body: { amount: 100000, transactionId, terminalId },
+        });
+      }
+
+      const list = await api("GET", "/transactions", { key: KIOSK_KEY });
+      const other = "/transactions/CAJA2_001";
+      const denied = await Promise.all([
+        api("GET", other, { key: KIOSK_KEY }),
+        api("GET", `${other}/receipt`, { key: KIOSK_KEY }),
+        api("GET", `${other}/events`, { key: KIOSK_KEY }),
+        api("POST", `${other}/cancel`, { key: KIOSK_KEY }),
+      ]);
+      const own = await api("GET", "/transactions/CAJA1_001", {
+        key: KIOSK_KEY,
+      });
+      const admin = await api("GET", other);
+
+      return (
+        list.body.transactions.length > 0 &&
+        list.body.transactions.every(
+          ({ terminalId }) => terminalId === "001",
+        ) &&
+        denied.every(
+          ({ status, body }) =>
+            status === 403 && body.code === "TERMINAL_NOT_ALLOWED",
+        ) &&
+        own.status === 200 &&
+        admin.status === 200
+      );
+    },
+  ]);
+
+  // Compra cuya respuesta no llega: la ruta consulta la última transacción
+  const lostSale = (transactionId, scenario) => {
+    serialManager.simulator.queueScenario(scenario);
+    return api("POST", "/purchase", {
+      body: { amount: 555500, transactionId, timeout: 1500 },
+    });
+  };
+
+  cases.push([
+    "Respuesta perdida: aprobada por consulta y anulada antes de soltar el datáfono",
+    async () => {
+      const late = lostSale("LATE_001", "lostResponse");
+      // Llega a la cola mientras la venta espera la respuesta
+      await new Promise((resolve) => setTimeout(resolve, 300));
+      const next = api("POST", "/purchase", {
+        body: { amount: 100000, transactionId: "NEXT_001" },
+      });
+
+      const { body } = await late;
+      await next;
+      const { voidTransactionId } = body.outcome;
+      const voided = await api("GET", `/transactions/${voidTransactionId}`);
+      const queued = await api("GET", "/transactions/NEXT_001");
+      const voidedAt = voided.body.transaction.history.at(-1).timestamp;
+      const startedAt = queued.body.transaction.history.find(
+        ({ state }) => state === "HANDSHAKE_SENT",
+      ).timestamp;
+
+      return (
+        body.status === "reversed" &&
+        body.outcome.resolvedBy === "query" &&
+        body.outcome.charged === false &&
+        voided.body.transaction.status === "APPROVED" &&
+        startedAt >= voidedAt
+      );
+    },
+  ]);
+
+  cases.push([
+    "Respuesta perdida: la última transacción es otra, no hubo cobro",
+    async () => {
+      const { status, body } = await lostSale("LOST_001", "timeout");
+      return (
+        status === 504 &&
+        body.code === "NOT_PROCESSED" &&
+        body.outcome.charged === false
+      );
+    },
+  ]);
+
+  cases.push([
+    "Respuesta perdida: consulta sin número de transacción queda UNKNOWN",
+    async () => {
+      // Datáfono sin transacciones previas: la consulta no trae el campo 53
+      serialManager.simulator.lastTransaction = null;
+      const { status, body } = await lostSale("LOST_002", "timeout");
+      const stored = await api("GET", "/transactions/LOST_002");
+      return (
+        status === 502 &&
+        body.status === "unknown" &&
+        body.outcome.charged === null &&
+        stored.body.transaction.status === "UNKNOWN" &&
+        stored.body.transaction.needsReconciliation === true
+      );
+    },
+  ]);
+
+  cases.push([
+    "Cancelar durante el poll de una respuesta perdida libera el datáfono",
+    async () => {
+      const previous = serialManager.tefConfig.unknownOutcome;
+      serialManager.tefConfig.unknownOutcome = {
+        strategy: "poll",
+        pollTimeout: 5000,
+      };
+      try {
+        const lost = lostSale("POLL_001", "timeout");
+        // Pasado el timeout de la venta: el datáfono está en el poll
+        await new Promise((resolve) => setTimeout(resolve, 2200));
+        const cancelledAt = Date.now();
+        const cancel = await api("POST", "/transactions/POLL_001/cancel");
+        const { status, body } = await lost;
+        const elapsed = Date.now() - cancelledAt;
+        const stored = await api("GET", "/transactions/POLL_001");
+
+        return (
+          cancel.body.stage === "active" &&
+          status === 409 &&
+          body.status === "cancelled" &&
+          elapsed < 1000 &&
+          stored.body.transaction.status === "CANCELLED" &&
+          stored.body.transaction.needsReconciliation === true
+        );
+      } finally {
+        serialManager.tefConfig.unknownOutcome = previous;
+      }
+    },
+  ]);
+
+  cases.push([
+    "transactionId de otra operación: 409 TRANSACTION_EXISTS en todas las rutas",
+    async () => {
+      await api("POST", "/purchase", {
+        body: { amount: 100000, transactionId: "REUSE_001" },
+      });
+      await api("POST", "/cash-advance", {
+        body: { amount: 100000, transactionId: "CASH_001" },
+      });
+
+      const reused = await Promise.all([
+        api("POST", "/cash-advance", {
+          body: { amount: 100000, transactionId: "REUSE_001" },
+        }),
+        api("POST", "/reversal", {
+          body: { receiptNumber: "000001", transactionId: "REUSE_001" },
+        }),
+        api("POST", "/purchase", {
+          body: { amount: 100000, transactionId: "CASH_001" },
+        }),
+        api("POST", "/cash-advance", {
+          body: { amount: 100000, transactionId: "CASH_001" },
+        }),
+      ]);
+      const purchase = await api("GET", "/transactions/REUSE_001");
+
+      return (
+        reused.every(
+          ({ status, body }) =>
+            status === 409 && body.code === "TRANSACTION_EXISTS",
+        ) &&
+        purchase.body.transaction.type === "purchase" &&
+        purchase.body.transaction.status === "APPROVED"
+      );
+    },
+  ]);
+
+  cases.push([
+    "IDs generados en el mismo milisegundo no se repiten",
+    async () => {
+      const now = Date.now;
+      const frozen = now();
+      Date.now = () => frozen;
+      try {
+        const first = await api("POST", "/cash-advance", {
+          body: { amount: 100000 },
+        });
+        const second = await api("POST", "/cash-advance", {
+          body: { amount: 100000 },
+        });
+        return (
+          first.body.status === "approved" &&
+          second.body.status === "approved" &&
+          first.body.data.transactionId !== second.body.data.transactionId
+        );
+      } finally {
+        Date.now = now;
+      }
+    },
+  ]);
+
+  cases.push([
+    "Reintento de una compra FAILED: el diario no arrastra el error anterior",
+    async () => {
+      await serialManager.disconnect();
+      await api("POST", "/purchase", {
+        body: { amount: 100000, transactionId: "RETRY_001" },
+      });
+      const failed = await api("GET", "/transactions/RETRY_001");
+      await serialManager.connect();
+      const retried = await api("POST", "/purchase", {
+        body: { amount: 100000, transactionId: "RETRY_001" },
+      });
+      const { transaction } = (await api("GET", "/transactions/RETRY_001"))
+        .body;
+
+      return (
+        failed.body.transaction.status === "FAILED" &&
+        Boolean(
+          failed.body.transaction.errorCode || failed.body.transaction.error,
+        ) &&
+        retried.body.status === "approved" &&
+        transaction.status === "APPROVED" &&
+        transaction.error == null &&
+        transaction.errorCode == null &&
+        transaction.needsReconciliation === false
+      );
+    },
+  ]);
+
+  cases.push([
+    "Diario: sobrevive a una caída y recoverInFlight cierra lo que quedó en vuelo",
+    async () => {
+      await api("POST", "/purchase", {
+        body: { amount: 100000, transactionId: "PERSIST_01" },
+      });
+
+      // Copia del diario con dos compras interrumpidas por la caída
+      const crashPath = join(tmpDir, "crash.jsonl");
+      fs.copyFileSync(join(tmpDir, "transactions.jsonl"), crashPath);
+      const crashed = new TransactionJournal(crashPath).load();
+      crashed.record("CRASH_001", "REQUESTED", {
+        type: "purchase",
+        amount: 100000,
+      });
+      crashed.record("CRASH_001", "HANDSHAKE_SENT");
+      crashed.record("CRASH_002", "REQUESTED", {
+        type: "purchase",
+        amount: 100000,
+      });
+      crashed.record("CRASH_002", "HANDSHAKE_SENT");
+      crashed.record("CRASH_002", "TRANSACTION_SENT");
+      crashed.close();
+
+      // Reinicio: mismo arranque que index.js, con un router sobre el diario recargado
+      const restarted = new TransactionJournal(crashPath).load();
+      const recovered = restarted.recoverInFlight();
+      app.use(
+        "/restarted",
+        createApiRouter(devices, TEFProtocol, {
+          journal: restarted,
+          events: new TransactionEvents(),
+          auth,
+          config,
+        }),
+      );
+      const base = `${origin}/restarted`;
+
+      const persisted = await api("GET", "/transactions/PERSIST_01", { base });
+      const unknown = await api("GET", "/transactions/CRASH_002", { base });
+      // Sin trama enviada no hubo cobro: se puede reintentar
+      const retried = await api("POST", "/purchase", {
+        body: { amount: 100000, transactionId: "CRASH_001" },
+        base,
+      });
+      const blocked = await api("POST", "/purchase", {
+        body: { amount: 100000, transactionId: "CRASH_002" },
+        base,
+      });
+      restarted.close();
+
+      return (
+        recovered.length === 2 &&
+        persisted.body.transaction.status === "APPROVED" &&
+        persisted.body.transaction.receiptNumber !== undefined &&
+        unknown.body.transaction.status === "UNKNOWN" &&
+        unknown.body.transaction.needsReconciliation === true &&
+        retried.body.status === "approved" &&
+        blocked.status === 409 &&
+        blocked.body.code === "TRANSACTION_UNKNOWN"
+      );
+    },
+  ]);
+
+  cases.push([
+    'Historial: filtros, paginación y "to" con solo fecha incluye el día completo',
+    async () => {
+      for (const [transactionId, terminalId, scenario] of [
+        ["HIST_001", "001", "approve"],
+        ["HIST_002", "002", "decline"],
+        ["HIST_003", "001", "approve"],
+      ]) {
+        serialManager.simulator.queueScenario(scenario);
+        await api("POST", "/purchase", {
+          body: {
+            amount: 100000,
+            transactionId,
+            terminalId,
+            cashierId: "HIST",
+          },
+        });
+      }
+      const list = async (query) =>
+        (await api("GET", `/transactions?cashierId=HIST&${query}`)).body;
+      const ids = ({ transactions }) =>
+        transactions.map(({ transactionId }) => transactionId).join(",");
+
+      const today = new Date().toISOString().slice(0, 10);
+      const yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000)
+        .toISOString()
+        .slice(0, 10);
+      const all = await list("");
+      const { franchise } = all.transactions[0];
+
+      const secondPage = await list("page=2&pageSize=2");
+      const declined = await list("status=declined");
+      const terminal = await list("terminalId=001");
+      const byFranchise = await list(`franchise=${franchise.toLowerCase()}`);
+      const untilToday = await list(`to=${today}`);
+      const fromToday = await list(`from=${today}`);
+      const untilYesterday = await list(`to=${yesterday}`);
+      const invalid = await api("GET", "/transactions?status=PAID");
+
+      return (
+        ids(all) === "HIST_003,HIST_002,HIST_001" &&
+        secondPage.total === 3 &&
+        secondPage.page === 2 &&
+        ids(secondPage) === "HIST_001" &&
+        ids(declined) === "HIST_002" &&
+        ids(terminal) === "HIST_003,HIST_001" &&
+        byFranchise.transactions.every((tx) => tx.franchise === franchise) &&
+        ids(byFranchise).includes("HIST_001") &&
+        untilToday.total === 3 &&
+        fromToday.total === 3 &&
+        untilYesterday.total === 0 &&
+        invalid.status === 400
+      );
+    },
+  ]);
+
+  cases.push([
+    "Idempotencia: reenvía el resultado guardado y rechaza otro monto",
+    async () => {
+      const body = { amount: 100000, transactionId: "IDEM_001" };
+      const first = await api("POST", "/purchase", { body });
+      const replay = await api("POST", "/purchase", { body });
+      const conflict = await api("POST", "/purchase", {
+        body: { ...body, amount: 200000 },
+      });
+
+      return (
+        first.body.status === "approved" &&
+        first.headers.get("Idempotent-Replayed") === null &&
+        replay.headers.get("Idempotent-Replayed") === "true" &&
+        replay.body.data.receiptNumber === first.body.data.receiptNumber &&
+        replay.body.data.authCode === first.body.data.authCode &&
+        conflict.status === 409 &&
+        conflict.body.code === "IDEMPOTENCY_CONFLICT"
+      );
+    },
+  ]);
+
+  cases.push([
+    "Idempotencia: un intento UNKNOWN no se reintenta (TRANSACTION_UNKNOWN)",
+    async () => {
+      serialManager.simulator.lastTransaction = null;
+      const unknown = await lostSale("IDEM_002", "timeout");
+      const retried = await api("POST", "/purchase", {
+        body: { amount: 555500, transactionId: "IDEM_002" },
+      });
+
+      return (
+        unknown.body.status === "unknown" &&
+        retried.status === 409 &&
+        retried.body.code === "TRANSACTION_UNKNOWN" &&
+        retried.body.transactionId === "IDEM_002"
+      );
+    },
+  ]);
+
+  cases.push([
+    "Idempotencia: un duplicado concurrente comparte la compra en curso",
+    async () => {
+      const purchase = () =>
+        api("POST", "/purchase", {
+          body: { amount: 100000, cashierId: "IDEM_SHARED" },
+          headers: { "Idempotency-Key": "kiosko-01-compra-7" },
+        });
+      const [first, duplicate] = await Promise.all([purchase(), purchase()]);
+      const stored = await api("GET", "/transactions?cashierId=IDEM_SHARED");
+
+      return (
+        first.body.status === "approved" &&
+        duplicate.headers.get("Idempotent-Replayed") === "true" &&
+        duplicate.body.data.transactionId === first.body.data.transactionId &&
+        duplicate.body.data.receiptNumber === first.body.data.receiptNumber &&
+        stored.body.total === 1
+      );
+    },
+  ]);
+
+  cases.push([
+    "Modo asíncrono: 202 con enlaces y etapas por SSE con el token del enlace",
+    async () => {
+      const accepted = await api("POST", "/purchase", {
+        body: { amount: 100000, transactionId: "ASYNC_001", async: true },
+      });
+      // EventSource no envía headers: solo el ?token= del enlace
+      const stream = await api("GET", accepted.body.links.events, {
+        base: origin,
+        key: "",
+      });
+      const stages = parseEvents(stream.body).map(({ stage }) => stage);
+      const result = parseEvents(stream.body).at(-1);
+
+      return (
+        accepted.status === 202 &&
+        accepted.body.status === "accepted" &&
+        accepted.body.links.self === "/api/transactions/ASYNC_001" &&
+        stream.headers.get("Content-Type").startsWith("text/event-stream") &&
+        stages.join(",") ===
+          [
+            "requested",
+            "handshake-sent",
+            "handshake-ack",
+            "transaction-sent",
+            "waiting-for-card",
+            "response-received",
+            "result",
+          ].join(",") &&
+        result.data.status === "approved" &&
+        result.data.data.transactionId === "ASYNC_001"
+      );
+    },
+  ]);
+
+  cases.push([
+    "Modo asíncrono: Prefer respond-async, token de otra transacción y stream tras el result",
+    async () => {
+      const accepted = await api("POST", "/purchase", {
+        body: { amount: 100000, transactionId: "ASYNC_002" },
+        headers: { Prefer: "respond-async" },
+      });
+      const token = new URL(
+        accepted.body.links.events,
+        origin,
+      ).searchParams.get("token");
+      const foreign = await api(
+        "GET",
+        `/transactions/ASYNC_001/events?token=${token}`,
+        { key: "" },
+      );
+      const live = await api("GET", "/transactions/ASYNC_002/events");
+      // Ya finalizada: el stream reenvía las etapas y cierra con el result
+      const replayed = await api("GET", "/transactions/ASYNC_002/events");
+      const stages = (stream) =>
+        parseEvents(stream.body).map(({ stage }) => stage);
+
+      return (
+        accepted.status === 202 &&
+        foreign.status === 401 &&
+        foreign.body.code === "INVALID_TOKEN" &&
+        stages(live).at(-1) === "result" &&
+        stages(replayed).join(",") === stages(live).join(",")
+      );
+    },
+  ]);
+
+  cases.push([
+    "/reversal: anula por número de recibo, valida el body y exige scope void",
+    async () => {
+      const purchase = await api("POST", "/purchase", {
+        body: { amount: 100000, transactionId: "REV_BASE" },
+      });
+      const { receiptNumber } = purchase.body.data;
+      const reversal = await api("POST", "/reversal", {
+        body: { receiptNumber, transactionId: "REV_001" },
+      });
+      const stored = await api("GET", "/transactions/REV_001");
+
+      serialManager.simulator.queueScenario("decline");
+      const declined = await api("POST", "/reversal", {
+        body: { receiptNumber, transactionId: "REV_002" },
+      });
+      const invalid = await api("POST", "/reversal", {
+        body: { receiptNumber: "123" },
+      });
+      const forbidden = await api("POST", "/reversal", {
+        body: { receiptNumber },
+        key: KIOSK_KEY,
+      });
+
+      return (
+        reversal.status === 200 &&
+        reversal.body.status === "approved" &&
+        reversal.body.data.originalReceiptNumber === receiptNumber &&
+        stored.body.transaction.type === "void" &&
+        stored.body.transaction.request.originalReceiptNumber ===
+          receiptNumber &&
+        declined.body.status === "rejected" &&
+        invalid.status === 400 &&
+        forbidden.status === 403 &&
+        forbidden.body.code === "FORBIDDEN_SCOPE"
+      );
+    },
+  ]);
+
+  cases.push([
+    'transactionId "error" (nombre de evento especial): compra y SSE normales',
+    async () => {
+      const accepted = await api("POST", "/purchase", {
+        body: { amount: 100000, transactionId: "error", async: true },
+      });
+      const stream = await api("GET", "/transactions/error/events");
+      const result = parseEvents(stream.body).at(-1);
+      // Mismo ID en otra ruta: 409 sin tocar el stream de la compra
+      const reversal = await api("POST", "/reversal", {
+        body: {
+          receiptNumber: result.data.data.receiptNumber,
+          transactionId: "error",
+        },
+      });
+
+      return (
+        accepted.status === 202 &&
+        result.stage === "result" &&
+        result.data.status === "approved" &&
+        reversal.status === 409 &&
+        reversal.body.code === "TRANSACTION_EXISTS"
+      );
+    },
+  ]);
+
+  let failures = 0;
+  for (const [name, test] of cases) {
+    let ok = false;
+    try {
+      ok = await test();
+    } catch (error) {
+      console.error(`   ${error.message}`);
+    }
+    if (!ok) failures++;
+    console.log(`${ok ? "✅" : "❌"} ${name}`);
+  }
+
+  server.close();
+  await devices.stop();
+  journal.close();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+
+  console.log(
+    `\n=== PRUEBA COMPLETADA: ${cases.length - failures}/${cases.length} OK ===`,
+  );
+  process.exit(failures > 0 ? 1 : 0);
+}
+
+run().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
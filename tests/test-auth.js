@@ -0,0 +1,270 @@
+/**
+ * Pruebas de autenticación de la API (llaves, firma HMAC, scopes y recarga)
+ */
+
+import fs from "fs";
+import os from "os";
+import { join } from "path";
+import { ApiAuth } from "../lib/ApiAuth.js";
+import { logger } from "../lib/logger.js";
+
+const KIOSK_SECRET = "k".repeat(40);
+const ADMIN_SECRET = "a".repeat(40);
+
+const keysPath = join(
+  fs.mkdtempSync(join(os.tmpdir(), "tef-auth-")),
+  "api-keys.json",
+);
+
+function writeKeys(keys) {
+  fs.writeFileSync(keysPath, JSON.stringify({ keys }));
+}
+
+// Petición mínima compatible con lo que usa ApiAuth (get, method, originalUrl, path…)
+function request({
+  method = "POST",
+  url = "/api/purchase",
+  headers = {},
+  body,
+}) {
+  const lower = Object.fromEntries(
+    Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]),
+  );
+  const rawBody = body ? Buffer.from(JSON.stringify(body)) : undefined;
+  const { pathname, searchParams } = new URL(url, "http://localhost");
+  return {
+    method,
+    originalUrl: url,
+    baseUrl: "",
+    path: pathname,
+    ip: "127.0.0.1",
+    query: Object.fromEntries(searchParams),
+    params: {},
+    body: body ? { ...body } : {},
+    rawBody,
+    get: (name) => lower[name.toLowerCase()],
+  };
+}
+
+function signed(secret, keyId, options, overrides = {}) {
+  const req = request(options);
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const nonce = overrides.nonce || `n-${Math.random()}`;
+  const headers = {
+    "X-Key-Id": keyId,
+    "X-Timestamp": overrides.timestamp || timestamp,
+    "X-Nonce": nonce,
+    "X-Signature": ApiAuth.sign(secret, {
+      method: req.method,
+      path: req.originalUrl,
+      timestamp: overrides.timestamp || timestamp,
+      nonce,
+      body: req.rawBody || "",
+    }),
+  };
+  return request({ ...options, headers });
+}
+
+// Ejecuta el middleware y retorna el código HTTP resultante (200 si dejó pasar)
+function run(middleware, req) {
+  let status = 200;
+  let body = null;
+  const res = {
+    status(code) {
+      status = code;
+      return this;
+    },
+    json(data) {
+      body = data;
+      return this;
+    },
+  };
+  middleware(req, res, () => {});
+  return { status, code: body?.code, req };
+}
+
+async function main() {
+  console.log("=== PRUEBA AUTENTICACIÓN API ===\n");
+
+  writeKeys([
+    {
+      id: "kiosko-01",
+      secret: KIOSK_SECRET,
+      scopes: ["purchase"],
+      terminalIds: ["001"],
+    },
+    { id: "soporte", secret: ADMIN_SECRET, scopes: ["*"] },
+  ]);
+  const auth = new ApiAuth({ keysPath, reloadInterval: 50 });
+  auth.load();
+
+  const cases = [];
+
+  cases.push([
+    "Sin llave: 401 AUTH_REQUIRED",
+    () => run(auth.require("purchase"), request({})).code === "AUTH_REQUIRED",
+  ]);
+
+  cases.push([
+    "Llave válida con el scope: pasa y fija la caja del kiosko",
+    () => {
+      const result = run(
+        auth.require("purchase"),
+        request({ headers: { "X-Api-Key": KIOSK_SECRET }, body: {} }),
+      );
+      return (
+        result.status === 200 &&
+        result.req.auth.keyId === "kiosko-01" &&
+        result.req.body.terminalId === "001"
+      );
+    },
+  ]);
+
+  cases.push([
+    "Scope y caja ajenos: 403",
+    () =>
+      run(
+        auth.require("admin"),
+        request({ headers: { Authorization: `Bearer ${KIOSK_SECRET}` } }),
+      ).code === "FORBIDDEN_SCOPE" &&
+      run(
+        auth.require("purchase"),
+        request({
+          headers: { "X-Api-Key": KIOSK_SECRET },
+          body: { terminalId: "002" },
+        }),
+      ).code === "TERMINAL_NOT_ALLOWED",
+  ]);
+
+  cases.push([
+    "Firma HMAC válida pasa; el mismo nonce no se acepta dos veces",
+    () => {
+      const options = { body: { amount: 1000 } };
+      const first = signed(ADMIN_SECRET, "soporte", options, { nonce: "n1" });
+      const replay = signed(ADMIN_SECRET, "soporte", options, { nonce: "n1" });
+      return (
+        run(auth.require("purchase"), first).status === 200 &&
+        run(auth.require("purchase"), replay).code === "REPLAYED_REQUEST"
+      );
+    },
+  ]);
+
+  cases.push([
+    "Body alterado o timestamp viejo: firma rechazada",
+    () => {
+      const tampered = signed(ADMIN_SECRET, "soporte", {
+        body: { amount: 1000 },
+      });
+      tampered.rawBody = Buffer.from(JSON.stringify({ amount: 999999 }));
+      // Firmada sin body, pero con un body parseado sin el original
+      const unsigned = signed(ADMIN_SECRET, "soporte", {});
+      unsigned.body = { amount: 999999 };
+      const stale = signed(
+        ADMIN_SECRET,
+        "soporte",
+        { body: {} },
+        { timestamp: String(Math.floor(Date.now() / 1000) - 3600) },
+      );
+      return (
+        run(auth.require("close"), tampered).code === "INVALID_SIGNATURE" &&
+        run(auth.require("close"), unsigned).code === "INVALID_SIGNATURE" &&
+        run(auth.require("close"), stale).code === "STALE_REQUEST"
+      );
+    },
+  ]);
+
+  cases.push([
+    "Token del stream SSE solo sirve para su transacción",
+    () => {
+      const token = auth.issueStreamToken("T001");
+      const stream = (transactionId) => {
+        const req = request({
+          method: "GET",
+          url: `/api/transactions/${transactionId}/events?token=${token}`,
+        });
+        req.params.transactionId = transactionId;
+        return run(auth.requireStream(), req);
+      };
+      // El rechazo se registra sin el ?token= de la URL
+      const warnings = [];
+      const warn = logger.warn;
+      logger.warn = (message) => warnings.push(message);
+      const denied = stream("T002");
+      logger.warn = warn;
+
+      return (
+        stream("T001").status === 200 &&
+        denied.code === "INVALID_TOKEN" &&
+        warnings.length === 1 &&
+        warnings[0].includes("/api/transactions/T002/events") &&
+        !warnings[0].includes(token)
+      );
+    },
+  ]);
+
+  cases.push([
+    "Rotación: el archivo se recarga sin reiniciar",
+    async () => {
+      auth.watch();
+      await new Promise((resolve) => setTimeout(resolve, 200)); // primer stat del archivo
+      const rotated = "r".repeat(40);
+      writeKeys([{ id: "kiosko-01", secret: rotated, scopes: ["purchase"] }]);
+      await new Promise((resolve) => setTimeout(resolve, 1500));
+      auth.close();
+
+      const check = (secret) =>
+        run(
+          auth.require("purchase"),
+          request({ headers: { "X-Api-Key": secret } }),
+        ).status;
+      return check(rotated) === 200 && check(KIOSK_SECRET) === 401;
+    },
+  ]);
+
+  cases.push([
+    "Los secrets de api-keys.example.json no se aceptan",
+    () => {
+      const example = JSON.parse(
+        fs.readFileSync(
+          new URL("../api-keys.example.json", import.meta.url),
+          "utf8",
+        ),
+      );
+      return example.keys.every((entry) => {
+        try {
+          ApiAuth.validateKey(entry);
+          return false;
+        } catch (error) {
+          return error.message.includes("ejemplo");
+        }
+      });
+    },
+  ]);
+
+  cases.push([
+    "Archivo inválido: se conservan las llaves anteriores",
+    () => {
+      fs.writeFileSync(keysPath, "{ roto");
+      return auth.load() === null && auth.keys.has("kiosko-01");
+    },
+  ]);
+
+  let failures = 0;
+  for (const [name, test] of cases) {
+    const ok = await test();
+    if (!ok) failures++;
+    console.log(`${ok ? "✅" : "❌"} ${name}`);
+  }
+
+  fs.rmSync(join(keysPath, ".."), { recursive: true, force: true });
+
+  console.log(
+    `\n=== PRUEBA COMPLETADA: ${cases.length - failures}/${cases.length} OK ===`,
+  );
+  process.exit(failures > 0 ? 1 : 0);
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
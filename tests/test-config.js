@@ -0,0 +1,179 @@
+/**
+ * Pruebas de la carga de configuración (valores por defecto, config.json, .env y entorno)
+ */
+
+import fs from "fs";
+import os from "os";
+import { join } from "path";
+import { loadConfig, maskSecrets, DEFAULT_CONFIG } from "../lib/config.js";
+
+const rootDir = fs.mkdtempSync(join(os.tmpdir(), "tef-config-"));
+
+function writeFiles({ json, env }) {
+  fs.rmSync(join(rootDir, "config.json"), { force: true });
+  fs.rmSync(join(rootDir, ".env"), { force: true });
+  if (json !== undefined) {
+    fs.writeFileSync(
+      join(rootDir, "config.json"),
+      typeof json === "string" ? json : JSON.stringify(json),
+    );
+  }
+  if (env !== undefined) fs.writeFileSync(join(rootDir, ".env"), env);
+}
+
+function load(files, env = {}) {
+  writeFiles(files);
+  return loadConfig({ rootDir, env });
+}
+
+function expectInvalid(files, env, pattern) {
+  try {
+    load(files, env);
+    return false;
+  } catch (error) {
+    return error.code === "INVALID_CONFIG" && pattern.test(error.message);
+  }
+}
+
+async function run() {
+  console.log("=== PRUEBA CONFIGURACIÓN ===\n");
+
+  const cases = [];
+
+  cases.push([
+    "Sin archivos: valores por defecto",
+    () => {
+      const { config } = load({});
+      return (
+        config.server.port === DEFAULT_CONFIG.server.port &&
+        config.serial.port === "COM3" &&
+        config.logging.level === "info"
+      );
+    },
+  ]);
+
+  cases.push([
+    "config.json se combina sobre los valores por defecto",
+    () => {
+      const { config } = load({
+        json: {
+          serial: { port: "COM7", timeout: 120000, probe: { interval: 0 } },
+        },
+      });
+      return (
+        config.serial.port === "COM7" &&
+        // serial.timeout (obsoleto) se acepta pero no llega a la configuración
+        config.serial.timeout === undefined &&
+        config.serial.probe.interval === 0 &&
+        config.serial.probe.timeout === 5000 &&
+        config.serial.baudRate === 9600
+      );
+    },
+  ]);
+
+  cases.push([
+    "Precedencia: entorno > .env > config.json, con tipos convertidos",
+    () => {
+      const { config, sources } = load(
+        {
+          json: { serial: { port: "COM7" }, tef: { timeoutTransaction: 9000 } },
+          env: "DATAFONO_PORT=COM5\nTRANSACTION_TIMEOUT=60000\nNODE_ENV=mock\n",
+        },
+        { DATAFONO_PORT: "COM9", MOCK_MODE: "true" },
+      );
+      return (
+        config.serial.port === "COM9" &&
+        config.tef.timeoutTransaction === 60000 &&
+        config.tef.mockMode === true &&
+        sources["serial.port"].source === "env" &&
+        sources["tef.timeoutTransaction"].source === ".env"
+      );
+    },
+  ]);
+
+  cases.push([
+    "Variables de .env que faltan en el entorno se copian (como dotenv)",
+    () => {
+      const env = { HTTP_HOST: "0.0.0.0" };
+      writeFiles({ env: "NODE_ENV=mock\nHTTP_HOST=127.0.0.1\n" });
+      loadConfig({ rootDir, env });
+      return env.NODE_ENV === "mock" && env.HTTP_HOST === "0.0.0.0";
+    },
+  ]);
+
+  cases.push([
+    "ALLOWED_ORIGIN acepta varios dominios separados por comas",
+    () => {
+      const { config } = load(
+        {},
+        { ALLOWED_ORIGIN: "http://a.local, https://b.local" },
+      );
+      return (
+        config.server.cors_origins.length === 2 &&
+        config.server.cors_origins[1] === "https://b.local"
+      );
+    },
+  ]);
+
+  cases.push([
+    "Valor inválido: no arranca y el error nombra la variable",
+    () =>
+      expectInvalid({}, { HTTP_PORT: "treinta" }, /server\.port.*HTTP_PORT/) &&
+      expectInvalid(
+        { env: "LOG_LEVEL=verbose2\n" },
+        {},
+        /logging\.level.*LOG_LEVEL en \.env/,
+      ) &&
+      expectInvalid({ json: { serial: { baudRate: 9601 } } }, {}, /baudRate/),
+  ]);
+
+  cases.push([
+    "Errores de config.json: todos a la vez, claves desconocidas y JSON roto",
+    () =>
+      expectInvalid(
+        { json: { serial: { parity: "x", prot: "COM3" } } },
+        {},
+        /parity[\s\S]*prot/,
+      ) && expectInvalid({ json: "{ roto" }, {}, /no es JSON válido/),
+  ]);
+
+  cases.push([
+    "maskSecrets oculta secretos sin tocar el resto",
+    () => {
+      const masked = maskSecrets({
+        auth: { keysPath: "api-keys.json" },
+        devices: [{ id: "caja1", secret: "abc" }],
+        webhook: { token: "xyz" },
+      });
+      return (
+        masked.auth.keysPath === "api-keys.json" &&
+        masked.devices[0].secret === "****" &&
+        masked.webhook.token === "****"
+      );
+    },
+  ]);
+
+  let failures = 0;
+  for (const [name, test] of cases) {
+    let ok = false;
+    try {
+      ok = await test();
+    } catch (error) {
+      console.error(`   ${error.message}`);
+    }
+    if (!ok) failures++;
+    console.log(`${ok ? "✅" : "❌"} ${name}`);
+  }
+
+  fs.rmSync(rootDir, { recursive: true, force: true });
+
+  console.log(
+    `\n=== PRUEBA COMPLETADA: ${cases.length - failures}/${cases.length} OK ===`,
+  );
+  process.exit(failures > 0 ? 1 : 0);
+}
+
+run().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
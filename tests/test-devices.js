@@ -0,0 +1,231 @@
+/**
+ * Pruebas del registro de datáfonos (varios kioskos en un mismo puente)
+ * Usa dos datáfonos simulados (tef.mockMode)
+ */
+
+import fs from "fs";
+import os from "os";
+import { join } from "path";
+import { DeviceRegistry } from "../lib/DeviceRegistry.js";
+import { SerialSettingsStore } from "../lib/SerialSettingsStore.js";
+import { TEFProtocol } from "../lib/TEFProtocol.js";
+
+const config = {
+  serial: {
+    port: "COM3",
+    baudRate: 9600,
+    probe: { interval: 0 },
+  },
+  tef: {
+    mockMode: true,
+    mockResponseDelay: 500,
+    timeoutTransaction: 2000,
+    ackTimeout: 200,
+    maxRetries: 3,
+  },
+  devices: [
+    { id: "caja1", terminalIds: ["001"], serial: { port: "COM3" } },
+    { id: "caja2", terminalIds: ["002", "003"], serial: { port: "COM4" } },
+  ],
+};
+
+function expectCode(fn, code) {
+  try {
+    fn();
+    return false;
+  } catch (error) {
+    return error.code === code;
+  }
+}
+
+function purchase(device, amount, transactionId) {
+  const { serialManager } = device;
+  return serialManager.runExclusive(
+    { transactionId, type: "purchase" },
+    async () => {
+      await serialManager.sendAndReceive(
+        TEFProtocol.buildHandshakeFrame(),
+        2000,
+      );
+      return serialManager.sendAndReceive(
+        TEFProtocol.buildPurchaseFrame({ amount, transactionId }),
+        2000,
+      );
+    },
+  );
+}
+
+async function run() {
+  console.log("=== PRUEBA REGISTRO DE DATÁFONOS ===\n");
+
+  const devices = new DeviceRegistry(config);
+  await devices.start();
+
+  const cases = [];
+
+  cases.push([
+    "Enruta por caja, por deviceId y rechaza cajas sin datáfono",
+    () =>
+      devices.resolve({ terminalId: "001" }).id === "caja1" &&
+      devices.resolve({ terminalId: "003" }).id === "caja2" &&
+      devices.resolve({ deviceId: "caja2", terminalId: "001" }).id ===
+        "caja2" &&
+      expectCode(
+        () => devices.resolve({ terminalId: "999" }),
+        "DEVICE_NOT_FOUND",
+      ) &&
+      expectCode(
+        () => devices.resolve({ deviceId: "caja9" }),
+        "DEVICE_NOT_FOUND",
+      ),
+  ]);
+
+  cases.push([
+    "Cada datáfono tiene su propio puerto, cola y simulador",
+    () => {
+      const [first, second] = devices.getStatus();
+      return (
+        first.port !== second.port &&
+        first.healthy &&
+        second.healthy &&
+        devices.get("caja1").serialManager.simulator !==
+          devices.get("caja2").serialManager.simulator
+      );
+    },
+  ]);
+
+  cases.push([
+    "Al reconectar el simulador conserva escenarios y última transacción",
+    async () => {
+      const device = devices.get("caja2");
+      const { serialManager } = device;
+      await purchase(device, 100000, "RECON_001");
+      serialManager.simulator.queueScenario("decline");
+
+      await serialManager.disconnect();
+      await serialManager.connect();
+      const lastId =
+        serialManager.simulator.lastTransaction?.transactionId.trim();
+      const response = await purchase(device, 100000, "RECON_002");
+
+      return (
+        serialManager.isConnected &&
+        lastId === "RECON_001" &&
+        response.success === false
+      );
+    },
+  ]);
+
+  cases.push([
+    "Compras en datáfonos distintos corren en paralelo",
+    async () => {
+      const started = Date.now();
+      const [first, second] = await Promise.all([
+        purchase(devices.get("caja1"), 111100, "DEV_001"),
+        purchase(devices.get("caja2"), 222200, "DEV_002"),
+      ]);
+      const elapsed = Date.now() - started;
+      console.log(`   Dos compras en ${elapsed} ms`);
+      // En serie tardarían al menos dos respuestas de 500 ms
+      return (
+        first.transactionData.amount === 111100 &&
+        second.transactionData.amount === 222200 &&
+        elapsed < 900
+      );
+    },
+  ]);
+
+  cases.push([
+    "Archivo de puerto guardado por datáfono",
+    () =>
+      DeviceRegistry.settingsPathFor("caja2", {
+        settingsPath: "data/serial-settings.json",
+      }) === "data/serial-settings-caja2.json" &&
+      DeviceRegistry.settingsPathFor(DeviceRegistry.DEFAULT_ID, {
+        settingsPath: "data/serial-settings.json",
+      }) === "data/serial-settings.json",
+  ]);
+
+  cases.push([
+    "Sin config.devices: un único datáfono default",
+    () => {
+      const single = new DeviceRegistry({ serial: config.serial, tef: {} });
+      return (
+        single.list().length === 1 &&
+        single.resolve({ terminalId: "999" }).id === DeviceRegistry.DEFAULT_ID
+      );
+    },
+  ]);
+
+  cases.push([
+    "DATAFONO_PORT gana sobre el puerto guardado con /api/connect",
+    () => {
+      const tmpDir = fs.mkdtempSync(join(os.tmpdir(), "tef-devices-"));
+      const settingsPath = join(tmpDir, "serial-settings.json");
+      new SerialSettingsStore(settingsPath).save({
+        port: "COM9",
+        baudRate: 19200,
+      });
+      const serial = { ...config.serial, settingsPath };
+      const fromEnv = new DeviceRegistry(
+        { serial, tef: {} },
+        {
+          sources: {
+            "serial.port": { variable: "DATAFONO_PORT", source: "env" },
+          },
+        },
+      ).resolve().serialManager.config;
+      const fromFile = new DeviceRegistry({ serial, tef: {} }).resolve()
+        .serialManager.config;
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+
+      return (
+        fromEnv.port === "COM3" &&
+        fromEnv.baudRate === 19200 &&
+        fromFile.port === "COM9"
+      );
+    },
+  ]);
+
+  cases.push([
+    "Una caja asignada a dos datáfonos es un error de configuración",
+    () => {
+      try {
+        new DeviceRegistry({
+          ...config,
+          devices: [
+            { id: "a", terminalIds: ["001"] },
+            { id: "b", terminalIds: ["001"] },
+          ],
+        });
+        return false;
+      } catch (error) {
+        return /001/.test(error.message);
+      }
+    },
+  ]);
+
+  let failures = 0;
+  for (const [name, test] of cases) {
+    let ok = false;
+    try {
+      ok = await test();
+    } catch (error) {
+      console.error(`   ${error.message}`);
+    }
+    if (!ok) failures++;
+    console.log(`${ok ? "✅" : "❌"} ${name}`);
+  }
+
+  await devices.stop();
+
+  console.log(
+    `\n=== PRUEBA COMPLETADA: ${cases.length - failures}/${cases.length} OK ===`,
+  );
+  process.exit(failures > 0 ? 1 : 0);
+}
+
+run().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
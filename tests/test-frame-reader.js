@@ -0,0 +1,180 @@
+/**
+ * Pruebas del reensamblado de tramas por LENGTH (FrameReader)
+ */
+
+import { FrameReader } from "../lib/FrameReader.js";
+import { TEFProtocol } from "../lib/TEFProtocol.js";
+
+function collect(reader) {
+  const events = [];
+  reader.on("frame", ({ frame }) => events.push(["frame", frame]));
+  reader.on("invalid", ({ error }) => events.push(["invalid", error]));
+  reader.on("ack", () => events.push(["ack"]));
+  reader.on("nack", () => events.push(["nack"]));
+  reader.on("eot", () => events.push(["eot"]));
+  reader.on("discard", ({ reason }) => events.push(["discard", reason]));
+  return events;
+}
+
+// Trama de respuesta con un 0x03 en los valores y LENGTH 0x03 0x00 (300 bytes)
+function buildFrameWithEtxBytes() {
+  const fields = [
+    TEFProtocol.buildField(48, "00", 2),
+    TEFProtocol.buildField(45, Buffer.from([0x03, 0x03, 0x03]), 3),
+  ];
+  const used = 17 + fields.reduce((total, field) => total + field.length + 1, 0);
+  fields.push(TEFProtocol.buildField(99, "X", 300 - used - 5));
+  return TEFProtocol.buildFrame(TEFProtocol.HEADERS.COMPRA, fields);
+}
+
+async function run() {
+  console.log("=== PRUEBA FRAME READER ===\n");
+
+  const frame = buildFrameWithEtxBytes();
+  const handshake = TEFProtocol.buildHandshakeFrame();
+  const cases = [];
+
+  cases.push([
+    "LENGTH y campos con 0x03 en fragmentos de 7 bytes",
+    () => {
+      const reader = new FrameReader();
+      const events = collect(reader);
+      if (frame[1] !== 0x03) throw new Error("LENGTH de prueba sin 0x03");
+      for (let i = 0; i < frame.length; i += 7) {
+        reader.push(frame.subarray(i, i + 7));
+      }
+      reader.reset();
+      return (
+        events.length === 1 &&
+        events[0][0] === "frame" &&
+        events[0][1].equals(frame)
+      );
+    },
+  ]);
+
+  cases.push([
+    "ACK, basura y dos tramas en el mismo fragmento",
+    () => {
+      const reader = new FrameReader();
+      const events = collect(reader);
+      reader.push(
+        Buffer.concat([
+          Buffer.from([0x06, 0xff, 0x00]),
+          handshake,
+          Buffer.from([0x15]),
+          frame,
+        ]),
+      );
+      reader.reset();
+      return (
+        events.map(([type]) => type).join(",") ===
+        "ack,discard,frame,nack,frame"
+      );
+    },
+  ]);
+
+  cases.push([
+    "LRC corrupto emite invalid y no bloquea la siguiente trama",
+    () => {
+      const reader = new FrameReader();
+      const events = collect(reader);
+      const corrupted = Buffer.from(handshake);
+      corrupted[corrupted.length - 1] ^= 0xff;
+      reader.push(Buffer.concat([corrupted, handshake]));
+      reader.reset();
+      return events.map(([type]) => type).join(",") === "invalid,frame";
+    },
+  ]);
+
+  cases.push([
+    "STX falso dentro de basura se resincroniza",
+    () => {
+      const reader = new FrameReader();
+      const events = collect(reader);
+      reader.push(Buffer.concat([Buffer.from([0x02, 0xaa, 0xbb]), handshake]));
+      reader.reset();
+      return events.filter(([type]) => type === "frame").length === 1;
+    },
+  ]);
+
+  cases.push([
+    "Timeout entre bytes descarta la trama incompleta",
+    async () => {
+      const reader = new FrameReader({ interByteTimeout: 50 });
+      const events = collect(reader);
+      reader.push(frame.subarray(0, 40));
+      await new Promise((resolve) => setTimeout(resolve, 100));
+      reader.push(handshake);
+      reader.reset();
+      return (
+        events.map(([type]) => type).join(",") === "discard,frame" &&
+        events[0][1] === "Timeout entre bytes"
+      );
+    },
+  ]);
+
+  cases.push([
+    "ETX corrupto con LENGTH 01 06: sus bytes 0x06/0x15/0x04 no son control",
+    async () => {
+      const reader = new FrameReader({ interByteTimeout: 50 });
+      const events = collect(reader);
+      // Sin bytes 0x02 en los campos: solo interesa el STX de la trama siguiente
+      const fields = [
+        TEFProtocol.buildField(48, "000", 3),
+        TEFProtocol.buildField(45, Buffer.from([0x06, 0x15, 0x04]), 3),
+      ];
+      const used =
+        17 + fields.reduce((total, field) => total + field.length + 1, 0);
+      fields.push(TEFProtocol.buildField(99, "X", 106 - used - 5));
+      const corrupted = TEFProtocol.buildFrame(
+        TEFProtocol.HEADERS.COMPRA,
+        fields,
+      );
+      if (corrupted[1] !== 0x01 || corrupted[2] !== 0x06) {
+        throw new Error("LENGTH de prueba distinto de 01 06");
+      }
+      corrupted[corrupted.length - 2] = 0x00;
+
+      // La trama dañada completa, seguida de una buena
+      reader.push(Buffer.concat([corrupted, handshake]));
+
+      // LENGTH más corto que la trama real: el resto llega en otro fragmento
+      const short = Buffer.from(corrupted);
+      short[1] = 0x00;
+      short[2] = 0x17;
+      reader.push(short.subarray(0, 40));
+      reader.push(short.subarray(40));
+      reader.push(handshake);
+
+      // Pasado el timeout entre bytes, un ACK suelto vuelve a ser control
+      await new Promise((resolve) => setTimeout(resolve, 100));
+      reader.push(Buffer.from([0x06]));
+      reader.reset();
+
+      const types = events.map(([type]) => type);
+      return (
+        types.filter((type) => type === "frame").length === 2 &&
+        types.filter((type) => ["ack", "nack", "eot"].includes(type)).length ===
+          1 &&
+        types.at(-1) === "ack"
+      );
+    },
+  ]);
+
+  let failures = 0;
+  for (const [name, test] of cases) {
+    const ok = await test();
+    if (!ok) failures++;
+    console.log(`${ok ? "✅" : "❌"} ${name}`);
+  }
+
+  console.log(
+    `\n=== PRUEBA COMPLETADA: ${cases.length - failures}/${cases.length} OK ===`,
+  );
+  process.exit(failures > 0 ? 1 : 0);
+}
+
+run().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,227 @@
+/**
+ * Pruebas del ocultamiento de datos de tarjeta en logs y de la traza del protocolo
+ */
+
+import fs from "fs";
+import os from "os";
+import { join } from "path";
+import { Writable } from "stream";
+import winston from "winston";
+import {
+  logger,
+  logHex,
+  redact,
+  redactFrame,
+  configureLogging,
+  protocolTrace,
+} from "../lib/logger.js";
+import { TEFProtocol } from "../lib/TEFProtocol.js";
+
+const AUTH_CODE = "654321";
+const LAST4 = "4242";
+const AMOUNT = "000005000000";
+
+// Respuesta aprobada con monto, caja, autorización y últimos 4 dígitos
+function buildResponse() {
+  return TEFProtocol.buildFrame(TEFProtocol.HEADERS.COMPRA, [
+    TEFProtocol.buildField(40, AMOUNT, 12),
+    TEFProtocol.buildField(42, "001", 10),
+    TEFProtocol.buildField(45, AUTH_CODE, 6),
+    TEFProtocol.buildField(48, "00", 2),
+    TEFProtocol.buildField(54, LAST4, 4),
+  ]);
+}
+
+// Captura lo que el logger escribe (después de todos sus formatos)
+const captured = [];
+logger.add(
+  new winston.transports.Stream({
+    stream: new Writable({
+      write(chunk, encoding, callback) {
+        captured.push(chunk.toString());
+        callback();
+      },
+    }),
+  }),
+);
+
+function capture(fn) {
+  captured.length = 0;
+  fn();
+  return captured.join("");
+}
+
+function leaks(text) {
+  const hex = (value) => Buffer.from(value).toString("hex").toUpperCase();
+  return [AUTH_CODE, LAST4, AMOUNT].some(
+    (value) => text.includes(value) || text.includes(hex(value)),
+  );
+}
+
+async function run() {
+  console.log("=== PRUEBA OCULTAMIENTO EN LOGS ===\n");
+
+  const traceDir = fs.mkdtempSync(join(os.tmpdir(), "tef-trace-"));
+  configureLogging({
+    trace: { dir: join(traceDir, "trace"), maxMinutes: 1, retentionHours: 1 },
+  });
+
+  const cases = [];
+
+  cases.push([
+    "Trama: monto, autorización y últimos 4 ocultos; estructura y LRC intactos",
+    () => {
+      const frame = buildResponse();
+      const masked = redactFrame(frame);
+      const text = masked.toString("latin1");
+      return (
+        masked.length === frame.length &&
+        masked[masked.length - 1] === frame[frame.length - 1] &&
+        !leaks(text) &&
+        text.includes("001") &&
+        text.includes("******")
+      );
+    },
+  ]);
+
+  cases.push([
+    "logHex: ni el HEX ni el ASCII contienen datos de tarjeta",
+    () => {
+      const output = capture(() => logHex(buildResponse(), "Prueba"));
+      return (
+        output.includes("HEX:") && output.includes("ASCII:") && !leaks(output)
+      );
+    },
+  ]);
+
+  cases.push([
+    "Fragmentos sin STX se ocultan completos; ACK/NACK se ven",
+    () => {
+      const frame = buildResponse();
+      const chunk = redactFrame(frame.subarray(25));
+      return (
+        chunk.every((byte) => byte === 0x2a) &&
+        redactFrame(Buffer.from([0x06]))[0] === 0x06 &&
+        !leaks(redactFrame(frame.subarray(0, 60)).toString("latin1"))
+      );
+    },
+  ]);
+
+  cases.push([
+    "Metadatos y objetos logueados: campos sensibles ocultos",
+    () => {
+      const output = capture(() =>
+        logger.info("Venta", {
+          amount: 5000000,
+          authCode: AUTH_CODE,
+          response: { fields: { last4: LAST4, terminalId: "001" } },
+        }),
+      );
+      const fields = redact({
+        authorizationCode: AUTH_CODE,
+        franchise: "VISA",
+      });
+      return (
+        !leaks(output) &&
+        !output.includes("5000000") &&
+        output.includes("001") &&
+        fields.authorizationCode === "****" &&
+        fields.franchise === "VISA"
+      );
+    },
+  ]);
+
+  cases.push([
+    "Campos desconocidos (field99, track2) se ocultan también en objetos",
+    () => {
+      const PAN = "4111111111111111";
+      const frame = TEFProtocol.buildFrame(TEFProtocol.HEADERS.COMPRA, [
+        TEFProtocol.buildField(42, "001", 10),
+        TEFProtocol.buildField(48, "00", 2),
+        TEFProtocol.buildField(99, PAN, 16),
+      ]);
+      const output = capture(() => TEFProtocol.parseResponse(frame));
+      const fields = redact({
+        field99: PAN,
+        track2: `${PAN}=2512`,
+        terminalId: "001",
+        success: true,
+      });
+      return (
+        output.includes("Respuesta parseada") &&
+        !output.includes(PAN) &&
+        fields.field99 === "****" &&
+        fields.track2 === "****" &&
+        fields.terminalId === "001" &&
+        fields.success === true
+      );
+    },
+  ]);
+
+  cases.push([
+    "Política configurable: un campo en clear queda visible",
+    () => {
+      configureLogging({ redact: { amount: "clear" } });
+      const text = redactFrame(buildResponse()).toString("latin1");
+      configureLogging({ trace: { maxMinutes: 1 } });
+      return text.includes(AMOUNT) && !text.includes(AUTH_CODE);
+    },
+  ]);
+
+  cases.push([
+    "Traza: tramas completas en un archivo solo del usuario del servicio",
+    () => {
+      const status = protocolTrace.start(5);
+      logHex(buildResponse(), "Prueba");
+      protocolTrace.stop();
+
+      const content = fs.readFileSync(status.file, "utf8");
+      const mode = fs.statSync(status.file).mode & 0o777;
+      const dirMode = fs.statSync(join(traceDir, "trace")).mode & 0o777;
+      return (
+        content.includes(AUTH_CODE) &&
+        mode === 0o600 &&
+        dirMode === 0o700 &&
+        // Tope de maxMinutes (1) aunque se pidan 5
+        new Date(status.expiresAt) - Date.now() <= 60 * 1000 &&
+        !protocolTrace.active
+      );
+    },
+  ]);
+
+  cases.push([
+    "Traza: los archivos vencidos se eliminan",
+    () => {
+      const old = join(traceDir, "trace", "trace-viejo.log");
+      fs.writeFileSync(old, "x");
+      const past = new Date(Date.now() - 2 * 60 * 60 * 1000);
+      fs.utimesSync(old, past, past);
+      protocolTrace.purge();
+      return !fs.existsSync(old);
+    },
+  ]);
+
+  let failures = 0;
+  for (const [name, test] of cases) {
+    let ok = false;
+    try {
+      ok = await test();
+    } catch (error) {
+      console.error(`   ${error.message}`);
+    }
+    if (!ok) failures++;
+    console.log(`${ok ? "✅" : "❌"} ${name}`);
+  }
+
+  fs.rmSync(traceDir, { recursive: true, force: true });
+
+  console.log(
+    `\n=== PRUEBA COMPLETADA: ${cases.length - failures}/${cases.length} OK ===`,
+  );
+  process.exit(failures > 0 ? 1 : 0);
+}
+
+run().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,149 @@
+/**
+ * Pruebas del parseo estricto de respuestas (TEFProtocol.parseResponse)
+ */
+
+import { TEFProtocol } from "../lib/TEFProtocol.js";
+
+const { PARSE_ERRORS } = TEFProtocol;
+
+function buildResponse(
+  responseCode = "00",
+  header = TEFProtocol.HEADERS.COMPRA,
+) {
+  const fields = [
+    TEFProtocol.buildField(40, "000005000000", 12),
+    TEFProtocol.buildField(45, "123456", 6),
+  ];
+  if (responseCode !== null) {
+    fields.push(TEFProtocol.buildField(48, responseCode, 2));
+  }
+  return TEFProtocol.buildFrame(header, fields);
+}
+
+// Recalcula el LRC tras modificar la trama (el error debe venir del parser, no del enlace)
+function withLrc(frame) {
+  const fixed = Buffer.from(frame);
+  fixed[fixed.length - 1] = TEFProtocol.calculateLRC(
+    fixed.subarray(1, fixed.length - 1),
+  )[0];
+  return fixed;
+}
+
+function expectParseError(frame, errorCode, options) {
+  const response = TEFProtocol.parseResponse(frame, options);
+  return (
+    response.success === false &&
+    response.status === "INDETERMINATE" &&
+    response.errorCode === errorCode &&
+    response.parseError.code === errorCode
+  );
+}
+
+async function run() {
+  console.log("=== PRUEBA PARSEO DE RESPUESTAS ===\n");
+
+  const cases = [];
+
+  cases.push([
+    "Respuesta aprobada con campos tipados",
+    () => {
+      const response = TEFProtocol.parseResponse(buildResponse());
+      return (
+        response.success === true &&
+        response.status === "APPROVED" &&
+        response.fields.amount === 5000000 &&
+        response.fields.authorizationCode === "123456"
+      );
+    },
+  ]);
+
+  cases.push([
+    "Rechazo del datáfono sigue siendo DECLINED",
+    () => {
+      const response = TEFProtocol.parseResponse(buildResponse("51"));
+      return response.success === false && response.status === "DECLINED";
+    },
+  ]);
+
+  cases.push([
+    "Handshake sin campos retorna HANDSHAKE",
+    () =>
+      TEFProtocol.parseResponse(
+        TEFProtocol.buildFrame(TEFProtocol.HEADERS.HANDSHAKE),
+      ).status === "HANDSHAKE",
+  ]);
+
+  cases.push([
+    "Campo que excede el mensaje: TRUNCATED_FIELD",
+    () => {
+      const frame = Buffer.from(buildResponse());
+      // Longitud del primer campo: STX + LENGTH + headers(17) + separador + tipo
+      frame.writeUInt16BE(0x00ff, 1 + 2 + 17 + 1 + 2);
+      return expectParseError(withLrc(frame), PARSE_ERRORS.TRUNCATED_FIELD);
+    },
+  ]);
+
+  cases.push([
+    "Presentation header desconocido: UNKNOWN_HEADER (solo en modo estricto)",
+    () => {
+      const header = Buffer.from("39393939393939", "hex");
+      const frame = buildResponse("00", header);
+      const lenient = TEFProtocol.parseResponse(frame, { strict: false });
+      return (
+        expectParseError(frame, PARSE_ERRORS.UNKNOWN_HEADER) &&
+        lenient.status === "APPROVED"
+      );
+    },
+  ]);
+
+  cases.push([
+    "LENGTH distinto de la trama recibida: LENGTH_MISMATCH",
+    () => {
+      const frame = buildResponse();
+      const shortened = Buffer.concat([
+        frame.subarray(0, frame.length - 5),
+        frame.subarray(frame.length - 2),
+      ]);
+      return expectParseError(withLrc(shortened), PARSE_ERRORS.LENGTH_MISMATCH);
+    },
+  ]);
+
+  cases.push([
+    "Separador corrupto: INVALID_SEPARATOR",
+    () => {
+      const frame = Buffer.from(buildResponse());
+      frame[1 + 2 + 17] = 0x1d;
+      return expectParseError(withLrc(frame), PARSE_ERRORS.INVALID_SEPARATOR);
+    },
+  ]);
+
+  cases.push([
+    "Respuesta sin código 48: MISSING_RESPONSE_CODE",
+    () =>
+      expectParseError(buildResponse(null), PARSE_ERRORS.MISSING_RESPONSE_CODE),
+  ]);
+
+  cases.push([
+    "Trama vacía o sin STX",
+    () =>
+      expectParseError(Buffer.alloc(0), PARSE_ERRORS.EMPTY_FRAME) &&
+      expectParseError(Buffer.from([0x06, 0x00]), PARSE_ERRORS.INVALID_FRAME),
+  ]);
+
+  let failures = 0;
+  for (const [name, test] of cases) {
+    const ok = await test();
+    if (!ok) failures++;
+    console.log(`${ok ? "✅" : "❌"} ${name}`);
+  }
+
+  console.log(
+    `\n=== PRUEBA COMPLETADA: ${cases.length - failures}/${cases.length} OK ===`,
+  );
+  process.exit(failures > 0 ? 1 : 0);
+}
+
+run().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,209 @@
+/**
+ * Pruebas de los comprobantes (texto 40/48 columnas, ESC/POS, HTML y reimpresión)
+ */
+
+import fs from "fs";
+import os from "os";
+import { join } from "path";
+import { ReceiptBuilder } from "../lib/ReceiptBuilder.js";
+import { TransactionJournal } from "../lib/TransactionJournal.js";
+import { DEFAULT_CONFIG } from "../lib/config.js";
+
+const builder = new ReceiptBuilder({
+  ...DEFAULT_CONFIG.receipts,
+  merchant: {
+    name: "TIENDA <ÑANDÚ>",
+    nit: "900123456-7",
+    address: "Calle 10 # 20-30 Local 5, Centro Comercial Gran Plaza",
+    phone: "",
+  },
+});
+
+const purchase = {
+  transactionId: "T000000001",
+  type: "purchase",
+  state: "APPROVED",
+  terminalId: "001",
+  amount: 5000000,
+  tax: 798319,
+  transactionData: {
+    amount: 5000000,
+    date: "2026-10-19",
+    time: "10:30",
+    franchise: "VISA",
+    receiptNumber: "000123",
+    accountType: "CR",
+    last4: "4242",
+    quotas: "01",
+    authorizationCode: "654321",
+  },
+};
+
+function text(tx, options) {
+  return builder.render(tx, { format: "text", ...options }).body;
+}
+
+async function run() {
+  console.log("=== PRUEBA COMPROBANTES ===\n");
+
+  const journalDir = fs.mkdtempSync(join(os.tmpdir(), "tef-receipts-"));
+  const cases = [];
+
+  cases.push([
+    "Texto: ninguna línea pasa de 40 o 48 columnas",
+    () =>
+      [40, 48].every((width) =>
+        text(purchase, { width })
+          .split("\n")
+          .every((line) => line.length <= width),
+      ),
+  ]);
+
+  cases.push([
+    "Texto: datos de la respuesta, montos y copias cliente y comercio",
+    () => {
+      const body = text(purchase);
+      return (
+        body.includes("APROBACIÓN: 654321") &&
+        body.includes("RECIBO: 000123") &&
+        body.includes("**** 4242") &&
+        body.includes("CUENTA: CRÉDITO") &&
+        body.includes("$ 50.000,00") &&
+        body.includes("$ 7.983,19") &&
+        body.includes("COMPROBANTE CLIENTE") &&
+        body.includes("COMPROBANTE COMERCIO") &&
+        body.includes("FIRMA:") &&
+        !body.includes("COPIA ***")
+      );
+    },
+  ]);
+
+  cases.push([
+    "Plantillas: líneas con campos sin valor se omiten",
+    () => {
+      const body = text(purchase, { copies: ["customer"] });
+      return body.includes("NIT: 900123456-7") && !body.includes("TEL:");
+    },
+  ]);
+
+  cases.push([
+    "Anulación: recibo original y valor negativo; reimpresión marcada COPIA",
+    () => {
+      const body = text(
+        { ...purchase, type: "void", originalReceiptNumber: "000100" },
+        { copies: ["customer"], reprint: { customer: true } },
+      );
+      return (
+        body.includes("ANULACIÓN") &&
+        body.includes("RECIBO ORIGINAL: 000100") &&
+        body.includes("-$ 50.000,00") &&
+        body.includes("*** COPIA ***")
+      );
+    },
+  ]);
+
+  cases.push([
+    "ESC/POS: inicialización, página PC850 y un corte por copia",
+    () => {
+      const { body, contentType } = builder.render(purchase, {
+        format: "escpos",
+      });
+      const cut = Buffer.from(ReceiptBuilder.ESC_POS.FEED_AND_CUT);
+      let cuts = 0;
+      for (
+        let at = body.indexOf(cut);
+        at !== -1;
+        at = body.indexOf(cut, at + 1)
+      ) {
+        cuts++;
+      }
+      return (
+        contentType === "application/octet-stream" &&
+        body.subarray(0, 5).equals(Buffer.from([0x1b, 0x40, 0x1b, 0x74, 2])) &&
+        // "Ó" de APROBACIÓN en PC850
+        body.includes(Buffer.from([0x41, 0x43, 0x49, 0xe0, 0x4e])) &&
+        cuts === 2
+      );
+    },
+  ]);
+
+  cases.push([
+    "HTML: documento con una sección por copia y texto escapado",
+    () => {
+      const { body, contentType } = builder.render(purchase, {
+        format: "html",
+      });
+      return (
+        contentType.startsWith("text/html") &&
+        body.includes('<section class="receipt customer">') &&
+        body.includes('<section class="receipt merchant">') &&
+        body.includes("TIENDA &lt;ÑANDÚ&gt;") &&
+        !body.includes("<ÑANDÚ>")
+      );
+    },
+  ]);
+
+  cases.push([
+    "Solo compras y anulaciones aprobadas tienen comprobante",
+    () =>
+      [
+        { ...purchase, state: "DECLINED" },
+        { ...purchase, type: "balance" },
+      ].every((tx) => {
+        try {
+          builder.render(tx);
+          return false;
+        } catch (error) {
+          return error.code === "RECEIPT_NOT_AVAILABLE";
+        }
+      }),
+  ]);
+
+  cases.push([
+    "Diario: cuenta las emisiones por copia sin tocar estado ni historial",
+    () => {
+      const path = join(journalDir, "transactions.jsonl");
+      const journal = new TransactionJournal(path).load();
+      journal.record("T1", "REQUESTED", { type: "purchase" });
+      journal.record("T1", "APPROVED");
+      journal.recordReceipt("T1", ["customer", "merchant"]);
+      journal.recordReceipt("T1", ["customer"]);
+      journal.close();
+
+      // Sobrevive a un reinicio
+      const reloaded = new TransactionJournal(path).load();
+      const tx = reloaded.get("T1");
+      reloaded.close();
+      return (
+        tx.state === "APPROVED" &&
+        tx.history.length === 2 &&
+        tx.receipts.customer === 2 &&
+        tx.receipts.merchant === 1
+      );
+    },
+  ]);
+
+  let failures = 0;
+  for (const [name, test] of cases) {
+    let ok = false;
+    try {
+      ok = await test();
+    } catch (error) {
+      console.error(`   ${error.message}`);
+    }
+    if (!ok) failures++;
+    console.log(`${ok ? "✅" : "❌"} ${name}`);
+  }
+
+  fs.rmSync(journalDir, { recursive: true, force: true });
+
+  console.log(
+    `\n=== PRUEBA COMPLETADA: ${cases.length - failures}/${cases.length} OK ===`,
+  );
+  process.exit(failures > 0 ? 1 : 0);
+}
+
+run().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
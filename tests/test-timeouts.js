@@ -0,0 +1,186 @@
+/**
+ * Pruebas de los plazos por fase y por tipo de transacción
+ */
+
+import { SerialManager } from "../lib/SerialManager.js";
+import { TEFProtocol } from "../lib/TEFProtocol.js";
+import { TransactionTimeouts } from "../lib/TransactionTimeouts.js";
+
+const tefConfig = {
+  timeoutTransaction: 120000,
+  ackTimeout: 2000,
+  timeouts: {
+    handshake: 10000,
+    card: 60000,
+    authorization: 50000,
+    minRequest: 10000,
+    types: { close: { card: 0, authorization: 110000 } },
+  },
+};
+
+function expectInvalid(config, type, requested) {
+  try {
+    TransactionTimeouts.resolve(config, type, requested);
+    return false;
+  } catch (error) {
+    return error.code === "INVALID_TIMEOUT";
+  }
+}
+
+async function run() {
+  console.log("=== PRUEBA PLAZOS POR FASE ===\n");
+
+  const cases = [];
+
+  cases.push([
+    "Sin tef.timeouts: valores por defecto y ackTimeout como plazo del ACK",
+    () => {
+      const plan = TransactionTimeouts.resolve(
+        { ackTimeout: 300, timeoutTransaction: 90000 },
+        "purchase",
+      );
+      return (
+        plan.ack === 300 &&
+        plan.handshake === 10000 &&
+        plan.card === 60000 &&
+        plan.total === 90000
+      );
+    },
+  ]);
+
+  cases.push([
+    "Los tipos sobrescriben las fases; cierre y consulta sin fase de tarjeta",
+    () => {
+      const close = TransactionTimeouts.resolve(tefConfig, "close");
+      const last = TransactionTimeouts.resolve({}, "lastTransaction");
+      const custom = TransactionTimeouts.resolve(
+        { timeouts: { types: { balance: { card: 20000, total: 40000 } } } },
+        "balance",
+      );
+      return (
+        close.card === 0 &&
+        close.authorization === 110000 &&
+        last.card === 0 &&
+        custom.card === 20000 &&
+        custom.total === 40000
+      );
+    },
+  ]);
+
+  cases.push([
+    "timeout del kiosko: acorta el total dentro de [minRequest, total]",
+    () =>
+      TransactionTimeouts.resolve(tefConfig, "purchase", 30000).total ===
+        30000 &&
+      expectInvalid(tefConfig, "purchase", 5000) &&
+      expectInvalid(tefConfig, "purchase", 150000),
+  ]);
+
+  cases.push([
+    "La fase reportada es la ventana en la que vence la espera",
+    () => {
+      const full = new TransactionTimeouts(
+        TransactionTimeouts.resolve(tefConfig, "purchase"),
+      ).start();
+      const short = new TransactionTimeouts(
+        TransactionTimeouts.resolve(tefConfig, "purchase", 30000),
+      ).start();
+      const close = new TransactionTimeouts(
+        TransactionTimeouts.resolve(tefConfig, "close"),
+      ).start();
+      const response = full.response();
+      return (
+        response.phase === "authorization" &&
+        response.timeout <= 110000 &&
+        short.response().phase === "card" &&
+        short.response().timeout <= 30000 &&
+        close.response().phase === "authorization"
+      );
+    },
+  ]);
+
+  cases.push([
+    "Plazo total agotado: RESPONSE_TIMEOUT sin esperar al datáfono",
+    () => {
+      const timeouts = new TransactionTimeouts(
+        TransactionTimeouts.resolve(tefConfig, "purchase"),
+      ).start();
+      timeouts.startedAt -= 120000;
+      try {
+        timeouts.handshake();
+        return false;
+      } catch (error) {
+        return error.code === "RESPONSE_TIMEOUT" && error.phase === "handshake";
+      }
+    },
+  ]);
+
+  cases.push([
+    "SerialManager: el error de timeout lleva la fase y el plazo",
+    async () => {
+      const serialManager = new SerialManager(
+        {
+          port: "COM3",
+          timeout: 400,
+          reconnect: { initialDelay: 50 },
+          probe: { interval: 0 },
+        },
+        {
+          mockMode: true,
+          mockResponseDelay: 50,
+          ackTimeout: 200,
+          maxRetries: 0,
+        },
+      );
+      await serialManager.connect();
+      try {
+        serialManager.simulator.queueScenario("timeout");
+        await serialManager.sendAndReceive(TEFProtocol.buildHandshakeFrame());
+        const error = await serialManager
+          .sendAndReceive(
+            TEFProtocol.buildPurchaseFrame({
+              amount: 100000,
+              transactionId: "TIMEOUT_01",
+              terminalId: "TEST01",
+              cashierId: "TESTER",
+            }),
+            300,
+            { phase: "card", ackTimeout: 200 },
+          )
+          .then(
+            () => null,
+            (error) => error,
+          );
+        return (
+          error?.code === "RESPONSE_TIMEOUT" &&
+          error.phase === "card" &&
+          error.timeout === 300
+        );
+      } finally {
+        await serialManager.disconnect();
+      }
+    },
+  ]);
+
+  let failures = 0;
+  for (const [name, test] of cases) {
+    let ok = false;
+    try {
+      ok = await test();
+    } catch (error) {
+      console.error(`   ${error.message}`);
+    }
+    if (!ok) failures++;
+    console.log(`${ok ? "✅" : "❌"} ${name}`);
+  }
+
+  console.log(
+    `\n=== PRUEBA COMPLETADA: ${cases.length - failures}/${cases.length} OK ===`,
+  );
+  process.exit(failures > 0 ? 1 : 0);
+}
+
+run().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});